@@ -24,6 +24,8 @@
         staffUpdateInterval: 60,
         analysisInterval: 180,
         statisticsInterval: 120,
+        historySampleInterval: 256,
+        performanceSampleInterval: 528,
         autoHireCheckInterval: 200,
         patrolZoneUpdateInterval: 600,
         autoReanalyzeInterval: 1200,
@@ -31,6 +33,9 @@
         eventCheckInterval: 30,
         maxStaffPerTick: 5,
         frameBudgetMs: 2.0,
+
+        // Multiplayer: ids of the player groups (comma separated) that may change settings; the host always can
+        commandGroups: '0',
         
         // Handyman settings
         handymanEnabled: true,
@@ -45,6 +50,15 @@
         handymanWaterEnabled: true,
         handymanEmptyBinsEnabled: true,
         handymanPriorityDispatch: true,
+        handymanDispatchLitter: 6,
+        handymanDispatchClearLitter: 2,
+        handymanDispatchMaxActive: 2,
+        handymanExitSweepers: true,
+        handymanQueueCrews: false,
+        handymanQueueCrewShare: 0.25,
+        handymanQueueGuestsPerCrew: 25,
+        handymanExitSweeperMax: 4,
+        handymanVomitNauseaThreshold: 500,
         
         // Mechanic settings
         mechanicEnabled: true,
@@ -55,6 +69,7 @@
         mechanicPreventiveEnabled: true,
         mechanicInspectionPriority: true,
         mechanicBreakdownRadius: 30,
+        mechanicBreakdownResponse: true,
         mechanicPerNewRide: true,
         
         // Security settings
@@ -80,6 +95,7 @@
         // Automation settings
         autoHireEnabled: true,
         autoFireEnabled: false,
+        autoFireGracePeriod: 2400,
         autoHireDelay: 600,
         autoPatrolZones: true,
         autoReanalyze: true,
@@ -88,6 +104,11 @@
         patrolZoneOverlap: 2,
         smartHiringEnabled: true,
         
+        // Budget settings (money values are in the game's internal units, 10 = $1)
+        budgetGovernorEnabled: true,
+        budgetCashFloor: 20000,
+        budgetMaxWageRatio: 0.4,
+        
         // Energy management
         energyManagement: true,
         lowEnergyThreshold: 40,
@@ -95,6 +116,56 @@
         pathfindingIntegration: true
     };
 
+    // Editable numeric settings shown in the UI, grouped by staff type
+    var SETTING_GROUPS = ['Handymen', 'Mechanics', 'Security', 'Entertainers', 'Zones', 'Automation', 'Budget', 'Timing'];
+    var SETTING_GROUP_HINTS = { Budget: 'Wage forecasts use default wages; the plugin API has no wage rates.' };
+    var NUMERIC_SETTINGS = [
+        { key: 'handymanTargetRatio', label: 'Handymen per guest', group: 'Handymen', min: 0, max: 0.1, step: 0.001, decimals: 3 },
+        { key: 'handymanMinCount', label: 'Minimum handymen', group: 'Handymen', min: 0, max: 200, step: 1 },
+        { key: 'handymanMaxCount', label: 'Maximum handymen', group: 'Handymen', min: 0, max: 200, step: 1 },
+        { key: 'handymanLitterThreshold', label: 'Litter complaint threshold', group: 'Handymen', min: 1, max: 500, step: 1 },
+        { key: 'handymanDisgustThreshold', label: 'Disgust complaint threshold', group: 'Handymen', min: 1, max: 500, step: 1 },
+        { key: 'handymanDispatchLitter', label: 'Dispatch at hotspot litter', group: 'Handymen', min: 1, max: 100, step: 1 },
+        { key: 'handymanDispatchClearLitter', label: 'Hotspot cleared below', group: 'Handymen', min: 0, max: 100, step: 1 },
+        { key: 'handymanDispatchMaxActive', label: 'Max dispatched handymen', group: 'Handymen', min: 0, max: 20, step: 1 },
+        { key: 'handymanQueueCrewShare', label: 'Max share as queue crews', group: 'Handymen', min: 0, max: 0.9, step: 0.05, decimals: 2, zones: true },
+        { key: 'handymanQueueGuestsPerCrew', label: 'Queuing guests per crew', group: 'Handymen', min: 1, max: 500, step: 5, zones: true },
+        { key: 'handymanExitSweeperMax', label: 'Max exit sweepers', group: 'Handymen', min: 0, max: 20, step: 1, zones: true },
+        { key: 'handymanVomitNauseaThreshold', label: 'Exit sweeper nausea rating (x100)', group: 'Handymen', min: 0, max: 1500, step: 50, zones: true },
+        { key: 'mechanicTargetRatio', label: 'Mechanics per ride', group: 'Mechanics', min: 0, max: 1, step: 0.01, decimals: 2 },
+        { key: 'mechanicMinCount', label: 'Minimum mechanics', group: 'Mechanics', min: 0, max: 100, step: 1 },
+        { key: 'mechanicMaxCount', label: 'Maximum mechanics', group: 'Mechanics', min: 0, max: 100, step: 1 },
+        { key: 'mechanicBreakdownRadius', label: 'Breakdown dispatch radius', group: 'Mechanics', min: 1, max: 256, step: 1 },
+        { key: 'securityTargetRatio', label: 'Guards per guest', group: 'Security', min: 0, max: 0.05, step: 0.0005, decimals: 4 },
+        { key: 'securityMinCount', label: 'Minimum guards', group: 'Security', min: 0, max: 100, step: 1 },
+        { key: 'securityMaxCount', label: 'Maximum guards', group: 'Security', min: 0, max: 100, step: 1 },
+        { key: 'securityCrimeThreshold', label: 'Crime threshold (breakages/day)', group: 'Security', min: 1, max: 100, step: 1 },
+        { key: 'entertainerTargetRatio', label: 'Entertainers per guest', group: 'Entertainers', min: 0, max: 0.05, step: 0.0005, decimals: 4 },
+        { key: 'entertainerMinCount', label: 'Minimum entertainers', group: 'Entertainers', min: 0, max: 100, step: 1 },
+        { key: 'entertainerMaxCount', label: 'Maximum entertainers', group: 'Entertainers', min: 0, max: 100, step: 1 },
+        { key: 'entertainerHappinessThreshold', label: 'Happiness threshold (%)', group: 'Entertainers', min: 0, max: 100, step: 1 },
+        { key: 'patrolZoneSize', label: 'Patrol zone size (tiles)', group: 'Zones', min: 4, max: 64, step: 1, zones: true },
+        { key: 'patrolZoneOverlap', label: 'Patrol zone overlap (tiles)', group: 'Zones', min: 0, max: 16, step: 1, zones: true },
+        { key: 'autoFireGracePeriod', label: 'Auto-fire grace period (ticks)', group: 'Automation', min: 0, max: 40000, step: 200 },
+        { key: 'autoHireDelay', label: 'Auto-hire delay (ticks)', group: 'Automation', min: 0, max: 40000, step: 100 },
+        { key: 'lowEnergyThreshold', label: 'Low energy threshold (%)', group: 'Automation', min: 0, max: 100, step: 1 },
+        { key: 'criticalEnergyThreshold', label: 'Critical energy threshold (%)', group: 'Automation', min: 0, max: 100, step: 1 },
+        { key: 'budgetCashFloor', label: 'Cash floor (internal units)', group: 'Budget', min: 0, max: 10000000, step: 1000 },
+        { key: 'budgetMaxWageRatio', label: 'Max wages / monthly income', group: 'Budget', min: 0.05, max: 2, step: 0.05, decimals: 2 },
+        { key: 'staffUpdateInterval', label: 'Staff update interval', group: 'Timing', min: 10, max: 10000, step: 10 },
+        { key: 'analysisInterval', label: 'Litter/guest analysis interval', group: 'Timing', min: 10, max: 10000, step: 10 },
+        { key: 'historySampleInterval', label: 'History sample interval', group: 'Timing', min: 32, max: 8192, step: 32 },
+        { key: 'performanceSampleInterval', label: 'Performance sample interval', group: 'Timing', min: 100, max: 10000, step: 100 },
+        { key: 'statisticsInterval', label: 'Statistics save interval', group: 'Timing', min: 10, max: 10000, step: 10 },
+        { key: 'autoHireCheckInterval', label: 'Auto-hire check interval', group: 'Timing', min: 10, max: 10000, step: 10 },
+        { key: 'patrolZoneUpdateInterval', label: 'Patrol zone update interval', group: 'Timing', min: 10, max: 10000, step: 10 },
+        { key: 'autoReanalyzeInterval', label: 'Auto re-analyze interval', group: 'Timing', min: 100, max: 100000, step: 100 },
+        { key: 'autoGenZonesInterval', label: 'Auto gen zones interval', group: 'Timing', min: 100, max: 100000, step: 100 },
+        { key: 'eventCheckInterval', label: 'Event check interval', group: 'Timing', min: 1, max: 1000, step: 1 },
+        { key: 'maxStaffPerTick', label: 'Max staff per tick', group: 'Timing', min: 1, max: 100, step: 1 },
+        { key: 'frameBudgetMs', label: 'Frame budget (ms)', group: 'Timing', min: 0.5, max: 20, step: 0.5, decimals: 1 }
+    ];
+
     var HANDYMAN_ORDERS = {
         SWEEPING: 1,
         WATERING: 2,
@@ -107,12 +178,315 @@
         FIX: 2
     };
 
+    var RIDE_LIFECYCLE = {
+        BREAKDOWN_PENDING: 1 << 6,
+        BROKEN_DOWN: 1 << 7
+    };
+
+    var RIDE_SETTING = {
+        INSPECTION_INTERVAL: 5
+    };
+
+    // Index into the game's inspection interval list (10, 20, 30, 45 min, 1, 2 hours, never)
+    var INSPECTION_INTERVALS = ['10 min', '20 min', '30 min', '45 min', '1 hour', '2 hours', 'Never'];
+    var DEFAULT_INSPECTION_INTERVAL = 2;
+
+    var STAFF_TYPES = ['handyman', 'mechanic', 'security', 'entertainer'];
+
+    // Work counters each staff type exposes; entertainers have none, so they are never scored
+    var STAFF_WORK_COUNTERS = {
+        handyman: ['litterSwept', 'binsEmptied', 'gardensWatered', 'lawnsMown'],
+        mechanic: ['ridesFixed', 'ridesInspected'],
+        security: ['vandalsStopped'],
+        entertainer: []
+    };
+    // Samples kept per staff member; rates cover the span from the oldest to the newest
+    var PERFORMANCE_WINDOW = 8;
+    var LOW_SCORE = 50;
+
+    // Default monthly wages in internal money units (10 = $1); the plugin API does not
+    // expose the game's wage rates, so forecasts use these
+    var STAFF_MONTHLY_WAGES = {
+        handyman: 500,
+        mechanic: 800,
+        security: 600,
+        entertainer: 550
+    };
+
+    var INCOME_TYPES = ['park_entrance_tickets', 'park_ride_tickets', 'shop_sales', 'food_drink_sales'];
+
+    // The game stores patrol areas in square blocks of this many tiles
+    var PATROL_BLOCK_SIZE = 4;
+
+    var VANDALISM_TILES_PER_STEP = 32;
+    var ANALYSIS_TILES_PER_STEP = 64;
+    var GUESTS_PER_STEP = 100;
+    var LITTER_PER_STEP = 200;
+
+    // Zone generation runs one staff type per scheduler step
+    var PATROL_ZONE_PHASES = ['generateHandymanPatrolZones', 'generateMechanicPatrolZones',
+        'generateSecurityPatrolZones', 'generateEntertainerPatrolZones'];
+
+    var VOMIT_LITTER_TYPES = ['vomit', 'vomit_alt'];
+    var VOMIT_HEAT_DECAY = 0.9;
+    var EXIT_SWEEP_RADIUS = 3;
+
+    var LITTER_DISPATCH_MAX_WALK = 80;
+    var LITTER_DISPATCH_TIMEOUT = 8000;
+
+    // Game actions that can add, remove, rename or reshape a ride
+    var RIDE_CHANGE_ACTIONS = ['ridecreate', 'ridedemolish', 'ridesetname', 'ridesetstatus', 'rideentranceexitplace',
+        'rideentranceexitremove', 'trackplace', 'trackremove', 'mazeplacetrack'];
+
+    // Game actions that change the park layout, with how many tiles around the action to rescan
+    var LAYOUT_CHANGE_ACTIONS = {
+        footpathplace: 0, footpathlayoutplace: 0, footpathremove: 0,
+        trackplace: 3, trackremove: 3, mazeplacetrack: 0, mazesettrack: 0,
+        rideentranceexitplace: 0, rideentranceexitremove: 0,
+        parkentranceplace: 1, parkentranceremove: 1
+    };
+
+    // Custom game actions for settings and manual commands, and the host's state broadcast
+    var COMMAND_ACTION = 'staffaimanager.command';
+    var SYNC_ACTION = 'staffaimanager.sync';
+    var MANUAL_COMMANDS = ['hire', 'genzones', 'reanalyze', 'resetstats', 'clearlog'];
+    var STAFF_COMMANDS = ['pin', 'unpin', 'lockzone', 'clearzone'];
+    // Per-player settings; changed directly and never sent to or from the server
+    var LOCAL_SETTINGS = ['debugMode'];
+
+    var STAFF_MAX_ENERGY = 128;
+    var ENERGY_RECOVERY_MARGIN = 10;
+
+    // Flat rides (no track circuit) wear slowly and can go longer between inspections.
+    // Values are the game's RIDE_TYPE_* enum (ride.type)
+    var FLAT_RIDE_TYPES = [
+        20, // RIDE_TYPE_MAZE
+        21, // RIDE_TYPE_SPIRAL_SLIDE
+        25, // RIDE_TYPE_DODGEMS
+        26, // RIDE_TYPE_SWINGING_SHIP
+        27, // RIDE_TYPE_SWINGING_INVERTER_SHIP
+        33, // RIDE_TYPE_MERRY_GO_ROUND
+        37, // RIDE_TYPE_FERRIS_WHEEL
+        38, // RIDE_TYPE_MOTION_SIMULATOR
+        39, // RIDE_TYPE_3D_CINEMA
+        40, // RIDE_TYPE_TOP_SPIN
+        41, // RIDE_TYPE_SPACE_RINGS
+        46, // RIDE_TYPE_TWIST
+        47, // RIDE_TYPE_HAUNTED_HOUSE
+        49, // RIDE_TYPE_CIRCUS
+        71, // RIDE_TYPE_CROOKED_HOUSE
+        77, // RIDE_TYPE_MAGIC_CARPET
+        81  // RIDE_TYPE_ENTERPRISE
+    ];
+
+    // ============================================================
+    // GAME API - The only place the OpenRCT2 globals are touched
+    // ============================================================
+    // bind() defaults to the game's globals; a simulated park can pass its own objects instead
+    var GameApi = {
+        map: null,
+        park: null,
+        date: null,
+        context: null,
+        network: null,
+        ui: null,
+        errorCounts: {},
+        clock: null,
+
+        bind: function(api) {
+            api = api || {};
+            this.map = api.map || (typeof map !== 'undefined' ? map : null);
+            this.park = api.park || (typeof park !== 'undefined' ? park : null);
+            this.date = api.date || (typeof date !== 'undefined' ? date : null);
+            this.context = api.context || (typeof context !== 'undefined' ? context : null);
+            this.network = api.network || (typeof network !== 'undefined' ? network : null);
+            this.ui = api.ui || (typeof ui !== 'undefined' ? ui : null);
+            this.clock = api.clock || null;
+        },
+
+        // Milliseconds for frame budgets; sub-millisecond when the host has a high resolution clock
+        now: function() {
+            if (this.clock) return this.clock.now();
+            return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+        },
+
+        // Failures are always reported, but after the first of each kind only in debug mode,
+        // so a broken call is seen without flooding the console every tick
+        reportError: function(where, e) {
+            var kind = where.split('(')[0];
+            this.errorCounts[kind] = (this.errorCounts[kind] || 0) + 1;
+            if (this.errorCounts[kind] === 1 || CONFIG.debugMode) console.log('[Staff AI] ' + where + ' failed: ' + e);
+        },
+
+        getTick: function() {
+            try { return this.date.ticksElapsed || 0; } catch (e) { return 0; }
+        },
+
+        getMonth: function() {
+            try { return this.date.month; } catch (e) { return -1; }
+        },
+
+        getMapSize: function() {
+            try { return { x: this.map.size.x, y: this.map.size.y }; } catch (e) {
+                this.reportError('map.size', e);
+                return { x: 128, y: 128 };
+            }
+        },
+
+        getTile: function(x, y) {
+            try { return this.map.getTile(x, y); } catch (e) {
+                this.reportError('getTile(' + x + ', ' + y + ')', e);
+                return null;
+            }
+        },
+
+        getRides: function() {
+            try { return this.map.rides || []; } catch (e) {
+                this.reportError('map.rides', e);
+                return [];
+            }
+        },
+
+        getRide: function(rideId) {
+            try { return this.map.getRide(rideId); } catch (e) {
+                this.reportError('getRide(' + rideId + ')', e);
+                return null;
+            }
+        },
+
+        getEntities: function(type) {
+            try { return this.map.getAllEntities(type) || []; } catch (e) {
+                this.reportError('getAllEntities(' + type + ')', e);
+                return [];
+            }
+        },
+
+        executeAction: function(action, args, callback) {
+            try { this.context.executeAction(action, args, callback); } catch (e) {
+                this.reportError(action, e);
+                callback({ error: -1, errorMessage: String(e) });
+            }
+        },
+
+        subscribe: function(hook, callback) {
+            try { return this.context.subscribe(hook, callback); } catch (e) {
+                this.reportError('subscribe(' + hook + ')', e);
+                return null;
+            }
+        },
+
+        setInterval: function(callback, delay) {
+            try { return this.context.setInterval(callback, delay); } catch (e) {
+                this.reportError('setInterval', e);
+                return null;
+            }
+        },
+
+        getNetworkMode: function() {
+            try { return this.network.mode; } catch (e) { return 'none'; }
+        },
+
+        getCurrentPlayerId: function() {
+            try { return this.network.currentPlayer.id; } catch (e) { return -1; }
+        },
+
+        getPlayers: function() {
+            try { return this.network.players || []; } catch (e) { return []; }
+        },
+
+        getGroups: function() {
+            try { return this.network.groups || []; } catch (e) { return []; }
+        },
+
+        registerAction: function(action, query, execute) {
+            try {
+                this.context.registerAction(action, query, execute);
+                return true;
+            } catch (e) {
+                this.reportError('registerAction(' + action + ')', e);
+                return false;
+            }
+        },
+
+        getParkStorage: function() {
+            try { return this.context.getParkStorage(); } catch (e) {
+                this.reportError('getParkStorage', e);
+                return null;
+            }
+        },
+
+        getSharedStorage: function() {
+            try { return this.context.sharedStorage; } catch (e) { return null; }
+        },
+
+        getCash: function() {
+            try { return this.park.cash; } catch (e) {
+                this.reportError('park.cash', e);
+                return 0;
+            }
+        },
+
+        getLoan: function() {
+            try { return { current: this.park.bankLoan, max: this.park.maxBankLoan }; } catch (e) { return { current: 0, max: 0 }; }
+        },
+
+        getMonthlyExpenditure: function(type) {
+            try { return this.park.getMonthlyExpenditure(type) || 0; } catch (e) {
+                this.reportError('getMonthlyExpenditure(' + type + ')', e);
+                return 0;
+            }
+        },
+
+        // Flags this API version does not know read as unset
+        getParkFlag: function(flag) {
+            try { return !!this.park.getFlag(flag); } catch (e) { return false; }
+        },
+
+        setTileSelection: function(tiles) {
+            try { this.ui.tileSelection.tiles = tiles; } catch (e) { this.reportError('tileSelection', e); }
+        },
+
+        setTileSelectionRange: function(range) {
+            try { this.ui.tileSelection.range = range; } catch (e) { this.reportError('tileSelection', e); }
+        },
+
+        activateTool: function(tool) {
+            try {
+                this.ui.activateTool(tool);
+                return true;
+            } catch (e) {
+                this.reportError('activateTool', e);
+                return false;
+            }
+        },
+
+        // Only cancels the tool with this id, never one the player picked up since
+        cancelTool: function(id) {
+            try {
+                if (this.ui.tool && this.ui.tool.id === id) this.ui.tool.cancel();
+            } catch (e) {
+                this.reportError('tool.cancel', e);
+            }
+        },
+
+        // Positions are in world units (32 per tile)
+        scrollViewportTo: function(x, y, z) {
+            try {
+                this.ui.mainViewport.scrollTo({ x: x, y: y, z: z || 0 });
+                return true;
+            } catch (e) {
+                this.reportError('mainViewport.scrollTo', e);
+                return false;
+            }
+        }
+    };
+
     // ============================================================
     // DETERMINISTIC RANDOM (Multiplayer Safe)
     // ============================================================
     var DeterministicRandom = {
         getSeed: function() {
-            try { return date.ticksElapsed || 0; } catch (e) { return 0; }
+            return GameApi.getTick();
         },
         random: function(offset) {
             var seed = this.getSeed() + (offset || 0);
@@ -129,7 +503,7 @@
     // ============================================================
     var NetworkHelper = {
         getMode: function() {
-            try { return network.mode; } catch (e) { return 'none'; }
+            return GameApi.getNetworkMode();
         },
         isServer: function() {
             var mode = this.getMode();
@@ -153,8 +527,10 @@
     var PerformanceMonitor = {
         frameStartTime: 0,
         frameTimes: [],
-        startFrame: function() { this.frameStartTime = Date.now(); },
-        getElapsedMs: function() { return Date.now() - this.frameStartTime; },
+        jobStats: {},
+        now: function() { return GameApi.now(); },
+        startFrame: function() { this.frameStartTime = this.now(); },
+        getElapsedMs: function() { return this.now() - this.frameStartTime; },
         endFrame: function() {
             var elapsed = this.getElapsedMs();
             this.frameTimes.push(elapsed);
@@ -166,6 +542,122 @@
             var sum = 0;
             for (var i = 0; i < this.frameTimes.length; i++) sum += this.frameTimes[i];
             return sum / this.frameTimes.length;
+        },
+
+        recordJob: function(name, elapsed) {
+            var stats = this.jobStats[name];
+            if (!stats) stats = this.jobStats[name] = { steps: 0, passes: 0, totalMs: 0, tickMs: 0, avgTickMs: 0, maxTickMs: 0 };
+            stats.steps++;
+            stats.totalMs += elapsed;
+            stats.tickMs += elapsed;
+        },
+
+        // Folds this tick's time into each job's rolling average
+        closeJobTick: function() {
+            for (var name in this.jobStats) {
+                if (!this.jobStats.hasOwnProperty(name)) continue;
+                var stats = this.jobStats[name];
+                if (stats.tickMs === 0) continue;
+                stats.avgTickMs = stats.avgTickMs * 0.9 + stats.tickMs * 0.1;
+                stats.maxTickMs = Math.max(stats.maxTickMs, stats.tickMs);
+                stats.tickMs = 0;
+            }
+        },
+
+        getJobSummary: function() {
+            var names = Object.keys(this.jobStats);
+            var self = this;
+            names.sort(function(a, b) { return self.jobStats[b].avgTickMs - self.jobStats[a].avgTickMs; });
+            return names.map(function(name) {
+                return name + ' ' + self.jobStats[name].avgTickMs.toFixed(2);
+            }).join('  ');
+        }
+    };
+
+    // ============================================================
+    // SCHEDULER - Resumable jobs sharing the per-tick frame budget
+    // ============================================================
+    var Scheduler = {
+        jobs: [],
+        nextIndex: 0,
+        lastFrameMs: 0,
+
+        // step() does one small unit of work and returns true when the pass is finished;
+        // begin() and finish() run when a pass starts and ends, maxSteps caps how many units a single
+        // tick may take, and a job whose ready() returns false waits without losing its place
+        register: function(name, job) {
+            job.name = name;
+            job.running = false;
+            job.stepsThisTick = 0;
+            this.jobs.push(job);
+        },
+
+        getJob: function(name) {
+            for (var i = 0; i < this.jobs.length; i++) {
+                if (this.jobs[i].name === name) return this.jobs[i];
+            }
+            return null;
+        },
+
+        start: function(name) {
+            var job = this.getJob(name);
+            if (!job || job.running) return;
+            job.running = true;
+            if (job.begin) job.begin();
+        },
+
+        stop: function(name) {
+            var job = this.getJob(name);
+            if (job) job.running = false;
+        },
+
+        stopAll: function() {
+            for (var i = 0; i < this.jobs.length; i++) this.jobs[i].running = false;
+        },
+
+        isRunning: function(name) {
+            var job = this.getJob(name);
+            return !!(job && job.running);
+        },
+
+        // Round-robin from where the budget ran out last tick; the first unit always runs so work never stalls
+        run: function() {
+            var frameStart = PerformanceMonitor.now();
+            var count = this.jobs.length;
+            var worked = false;
+            var i;
+            for (i = 0; i < count; i++) this.jobs[i].stepsThisTick = 0;
+            for (var n = 0; n < count; n++) {
+                var index = (this.nextIndex + n) % count;
+                var job = this.jobs[index];
+                if (job.ready && !job.ready()) continue;
+                while (job.running && (!job.maxSteps || job.stepsThisTick < job.maxSteps)) {
+                    if (worked && PerformanceMonitor.now() - frameStart >= CONFIG.frameBudgetMs) break;
+                    var started = PerformanceMonitor.now();
+                    var done = false;
+                    try { done = job.step(); } catch (e) {
+                        done = true;
+                        GameApi.reportError('job ' + job.name, e);
+                    }
+                    PerformanceMonitor.recordJob(job.name, PerformanceMonitor.now() - started);
+                    job.stepsThisTick++;
+                    worked = true;
+                    if (done) {
+                        job.running = false;
+                        PerformanceMonitor.jobStats[job.name].passes++;
+                        if (job.finish) {
+                            try { job.finish(); } catch (e) { GameApi.reportError('job ' + job.name, e); }
+                        }
+                    }
+                }
+                if (PerformanceMonitor.now() - frameStart >= CONFIG.frameBudgetMs) {
+                    this.nextIndex = (index + 1) % count;
+                    break;
+                }
+            }
+            PerformanceMonitor.closeJobTick();
+            this.lastFrameMs = PerformanceMonitor.now() - frameStart;
+            return this.lastFrameMs;
         }
     };
 
@@ -193,6 +685,158 @@
         return total;
     };
 
+    // ============================================================
+    // TILE PARTITIONER - Weighted recursive bisection of tile sets
+    // ============================================================
+    var TilePartitioner = {
+        // Splits points into up to `parts` compact groups of roughly equal total weight
+        partition: function(points, parts, weightFn) {
+            if (points.length === 0 || parts <= 0) return [];
+            var weighted = [];
+            for (var i = 0; i < points.length; i++) {
+                weighted.push({ point: points[i], weight: weightFn ? Math.max(0, weightFn(points[i])) : 1 });
+            }
+            var groups = this.split(weighted, parts);
+            var result = [];
+            for (var g = 0; g < groups.length; g++) {
+                var group = { points: [], weight: 0 };
+                for (var j = 0; j < groups[g].length; j++) {
+                    group.points.push(groups[g][j].point);
+                    group.weight += groups[g][j].weight;
+                }
+                result.push(group);
+            }
+            return result;
+        },
+
+        split: function(items, parts) {
+            if (parts <= 1 || items.length <= 1) return [items];
+            var bounds = this.getBounds(items);
+            var axis = (bounds.maxX - bounds.minX) >= (bounds.maxY - bounds.minY) ? 'x' : 'y';
+            var other = axis === 'x' ? 'y' : 'x';
+            items = items.slice().sort(function(a, b) {
+                return (a.point[axis] - b.point[axis]) || (a.point[other] - b.point[other]);
+            });
+
+            var total = 0;
+            for (var i = 0; i < items.length; i++) total += items[i].weight;
+            var leftParts = Math.floor(parts / 2);
+            var target = total * leftParts / parts;
+            var running = 0;
+            var cut = 0;
+            while (cut < items.length - 1 && running + items[cut].weight <= target) {
+                running += items[cut].weight;
+                cut++;
+            }
+            cut = Math.max(1, Math.min(items.length - 1, cut));
+
+            return this.split(items.slice(0, cut), leftParts).concat(this.split(items.slice(cut), parts - leftParts));
+        },
+
+        getBounds: function(items) {
+            var bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (var i = 0; i < items.length; i++) {
+                var p = items[i].point || items[i];
+                bounds.minX = Math.min(bounds.minX, p.x);
+                bounds.minY = Math.min(bounds.minY, p.y);
+                bounds.maxX = Math.max(bounds.maxX, p.x);
+                bounds.maxY = Math.max(bounds.maxY, p.y);
+            }
+            return bounds;
+        },
+
+        getCentre: function(points) {
+            var bounds = this.getBounds(points);
+            return { x: Math.floor((bounds.minX + bounds.maxX) / 2), y: Math.floor((bounds.minY + bounds.maxY) / 2) };
+        }
+    };
+
+    // ============================================================
+    // PATROL SHAPE BUILDER - Tile sets to patrol blocks and rectangles
+    // ============================================================
+    var PatrolShapeBuilder = {
+        // Patrol blocks touched by the tiles, each grown by `padding` tiles
+        getBlocks: function(tiles, padding) {
+            var blocks = {};
+            padding = padding || 0;
+            for (var i = 0; i < tiles.length; i++) {
+                this.addRectBlocks(blocks, tiles[i].x - padding, tiles[i].y - padding, tiles[i].x + padding, tiles[i].y + padding);
+            }
+            return blocks;
+        },
+
+        getBlocksForRects: function(rects) {
+            var blocks = {};
+            for (var i = 0; i < rects.length; i++) {
+                this.addRectBlocks(blocks, rects[i].x1, rects[i].y1, rects[i].x2, rects[i].y2);
+            }
+            return blocks;
+        },
+
+        addRectBlocks: function(blocks, x1, y1, x2, y2) {
+            var bx1 = Math.max(0, Math.floor(Math.min(x1, x2) / PATROL_BLOCK_SIZE));
+            var by1 = Math.max(0, Math.floor(Math.min(y1, y2) / PATROL_BLOCK_SIZE));
+            var bx2 = Math.floor(Math.max(x1, x2) / PATROL_BLOCK_SIZE);
+            var by2 = Math.floor(Math.max(y1, y2) / PATROL_BLOCK_SIZE);
+            for (var by = by1; by <= by2; by++) {
+                for (var bx = bx1; bx <= bx2; bx++) {
+                    blocks[bx + ',' + by] = { x: bx, y: by };
+                }
+            }
+        },
+
+        // Greedy cover: grow each uncovered block right, then down, as far as the set allows
+        coverBlocks: function(blocks) {
+            var keys = Object.keys(blocks);
+            keys.sort(function(a, b) {
+                return (blocks[a].y - blocks[b].y) || (blocks[a].x - blocks[b].x);
+            });
+            var covered = {};
+            var rects = [];
+            var available = function(x, y) {
+                var key = x + ',' + y;
+                return blocks.hasOwnProperty(key) && !covered[key];
+            };
+            for (var i = 0; i < keys.length; i++) {
+                if (covered[keys[i]]) continue;
+                var start = blocks[keys[i]];
+                var width = 1;
+                while (available(start.x + width, start.y)) width++;
+                var height = 1;
+                var rowFree = true;
+                while (rowFree) {
+                    for (var dx = 0; dx < width; dx++) {
+                        if (!available(start.x + dx, start.y + height)) { rowFree = false; break; }
+                    }
+                    if (rowFree) height++;
+                }
+                for (var cy = 0; cy < height; cy++) {
+                    for (var cx = 0; cx < width; cx++) covered[(start.x + cx) + ',' + (start.y + cy)] = true;
+                }
+                rects.push({
+                    x1: start.x * PATROL_BLOCK_SIZE,
+                    y1: start.y * PATROL_BLOCK_SIZE,
+                    x2: (start.x + width) * PATROL_BLOCK_SIZE - 1,
+                    y2: (start.y + height) * PATROL_BLOCK_SIZE - 1
+                });
+            }
+            return rects;
+        },
+
+        build: function(tiles, padding) {
+            return this.coverBlocks(this.getBlocks(tiles, padding));
+        },
+
+        // Blocks in `a` that are not in `b`
+        difference: function(a, b) {
+            var result = {};
+            for (var key in a) {
+                if (a.hasOwnProperty(key) && !b.hasOwnProperty(key)) result[key] = a[key];
+            }
+            return result;
+        }
+    };
+
     // ============================================================
     // RIDE TRACKER - Detects new rides and their entrances/exits
     // ============================================================
@@ -201,16 +845,28 @@
         rideEntrances: {},
         rideExits: {},
         ridePaths: {},
-        newRidesDetected: [],
+        rideSignatures: {},
         lastRideCount: 0,
+        needsReconcile: false,
 
+        // Rides already in the park when it loads are a baseline, not new builds
         initialize: function() {
             this.scanAllRides();
         },
 
+        reset: function() {
+            this.knownRides = {};
+            this.rideEntrances = {};
+            this.rideExits = {};
+            this.ridePaths = {};
+            this.rideSignatures = {};
+            this.lastRideCount = 0;
+            this.needsReconcile = false;
+        },
+
         scanAllRides: function() {
             try {
-                var rides = map.rides;
+                var rides = GameApi.getRides();
                 for (var i = 0; i < rides.length; i++) {
                     var ride = rides[i];
                     if (ride && ride.classification === 'ride') {
@@ -233,12 +889,10 @@
 
             // Find entrance and exit locations
             this.findRideEntrancesExits(ride);
-            
-            // Mark as newly detected
-            this.newRidesDetected.push(ride.id);
+            this.rideSignatures[ride.id] = this.getStationSignature(ride);
             
             if (CONFIG.debugMode) {
-                console.log('[Staff AI] New ride detected: ' + (ride.name || 'Ride ' + ride.id));
+                console.log('[Staff AI] Tracking ride: ' + (ride.name || 'Ride ' + ride.id));
             }
         },
 
@@ -299,7 +953,7 @@
                 visited[key] = true;
 
                 try {
-                    var tile = map.getTile(current.x, current.y);
+                    var tile = GameApi.getTile(current.x, current.y);
                     if (tile) {
                         for (var i = 0; i < tile.numElements; i++) {
                             var element = tile.getElement(i);
@@ -326,57 +980,120 @@
             }
         },
 
-        checkForNewRides: function() {
+        onActionExecuted: function(e) {
+            if (e && RIDE_CHANGE_ACTIONS.indexOf(e.action) !== -1 && (!e.result || !e.result.error)) {
+                this.needsReconcile = true;
+            }
+        },
+
+        getStationSignature: function(ride) {
+            var parts = [];
+            var stations = ride.stations || [];
+            for (var i = 0; i < stations.length; i++) {
+                var station = stations[i];
+                if (!station) continue;
+                var points = [station.start, station.entrance, station.exit];
+                for (var j = 0; j < points.length; j++) {
+                    parts.push(points[j] ? points[j].x + ',' + points[j].y + ',' + (points[j].z || 0) : '-');
+                }
+            }
+            return parts.join('|');
+        },
+
+        // Brings tracked rides in line with the park: new, demolished, renamed and moved rides
+        reconcile: function() {
+            var changes = { added: [], removed: [], moved: [] };
+            var seen = {};
             try {
-                var rides = map.rides;
-                if (rides.length !== this.lastRideCount) {
-                    for (var i = 0; i < rides.length; i++) {
-                        var ride = rides[i];
-                        if (ride && ride.classification === 'ride' && !this.knownRides[ride.id]) {
-                            this.trackRide(ride);
-                        }
+                var rides = GameApi.getRides();
+                for (var i = 0; i < rides.length; i++) {
+                    var ride = rides[i];
+                    if (!ride || ride.classification !== 'ride') continue;
+                    seen[ride.id] = true;
+                    if (!this.knownRides[ride.id]) {
+                        this.trackRide(ride);
+                        changes.added.push(ride.id);
+                        continue;
+                    }
+                    this.knownRides[ride.id].name = ride.name || 'Unknown Ride';
+                    var signature = this.getStationSignature(ride);
+                    if (signature !== this.rideSignatures[ride.id]) {
+                        this.findRideEntrancesExits(ride);
+                        this.rideSignatures[ride.id] = signature;
+                        changes.moved.push(ride.id);
                     }
-                    this.lastRideCount = rides.length;
-                    return this.newRidesDetected.length > 0;
                 }
-            } catch (e) {}
+                this.lastRideCount = rides.length;
+            } catch (e) {
+                return changes;
+            }
+
+            for (var rideId in this.knownRides) {
+                if (this.knownRides.hasOwnProperty(rideId) && !seen[rideId]) {
+                    changes.removed.push(this.knownRides[rideId].id);
+                }
+            }
+            for (var r = 0; r < changes.removed.length; r++) {
+                this.forgetRide(changes.removed[r]);
+            }
+            this.needsReconcile = false;
+            return changes;
+        },
+
+        forgetRide: function(rideId) {
+            if (CONFIG.debugMode && this.knownRides[rideId]) {
+                console.log('[Staff AI] Ride removed: ' + this.knownRides[rideId].name);
+            }
+            delete this.knownRides[rideId];
+            delete this.rideEntrances[rideId];
+            delete this.rideExits[rideId];
+            delete this.ridePaths[rideId];
+            delete this.rideSignatures[rideId];
+        },
+
+        getKnownRideCount: function() {
+            return Object.keys(this.knownRides).length;
+        },
+
+        // A ride needs staff once it is open or has a station built
+        isRideReady: function(rideId) {
+            var ride = GameApi.getRide(Number(rideId));
+            if (!ride) return false;
+            if (ride.status === 'open') return true;
+            var stations = ride.stations || [];
+            for (var i = 0; i < stations.length; i++) {
+                if (stations[i] && stations[i].start && stations[i].start.x >= 0) return true;
+            }
             return false;
         },
 
-        getNewRides: function() {
-            var newRides = this.newRidesDetected.slice();
-            this.newRidesDetected = [];
-            return newRides;
+        getRideTiles: function(rideId) {
+            return (this.rideEntrances[rideId] || []).concat(this.rideExits[rideId] || [], this.ridePaths[rideId] || []);
         },
 
-        getRideCoverage: function(rideId) {
-            var coverage = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
-            
-            var entrances = this.rideEntrances[rideId] || [];
-            var exits = this.rideExits[rideId] || [];
-            var paths = this.ridePaths[rideId] || [];
-            
-            var allPoints = entrances.concat(exits).concat(paths);
-            
-            for (var i = 0; i < allPoints.length; i++) {
-                var p = allPoints[i];
-                coverage.minX = Math.min(coverage.minX, p.x);
-                coverage.minY = Math.min(coverage.minY, p.y);
-                coverage.maxX = Math.max(coverage.maxX, p.x);
-                coverage.maxY = Math.max(coverage.maxY, p.y);
+        // Centre of a ride's stations, entrances and exits
+        getRidePosition: function(rideId) {
+            var points = this.getRideTiles(rideId);
+            if (points.length === 0) return null;
+            var sumX = 0, sumY = 0;
+            for (var i = 0; i < points.length; i++) {
+                sumX += points[i].x;
+                sumY += points[i].y;
             }
-            
-            // Add padding
-            coverage.minX = Math.max(0, coverage.minX - 3);
-            coverage.minY = Math.max(0, coverage.minY - 3);
-            coverage.maxX += 3;
-            coverage.maxY += 3;
-            
-            return coverage;
+            return { x: Math.round(sumX / points.length), y: Math.round(sumY / points.length), rideId: rideId };
+        },
+
+        // Relative mechanic workload: unreliable, intense, old or often broken rides need more visits
+        getRideWorkload: function(rideId) {
+            var ride = null;
+            ride = GameApi.getRide(rideId);
+            if (!ride) return 1;
+            var intensity = typeof ride.intensity === 'number' ? ride.intensity : 0;
+            return 1 + MaintenancePlanner.getMaintenanceNeed(ride) / 20 + Math.max(0, intensity) / 500;
         },
 
         getGameTick: function() {
-            try { return date.ticksElapsed || 0; } catch (e) { return 0; }
+            return GameApi.getTick();
         }
     };
 
@@ -387,60 +1104,120 @@
         vandalismCount: 0,
         recentCrimes: [],
         crimeHotspots: new SpatialHash(16),
-        lastCheck: 0,
+        tileRecords: {},
+        cursor: 0,
+        sweepTiles: null,
+        sweepSeen: {},
+        initialSweepDone: false,
+        breakagesToday: 0,
+        dailyBreakages: [],
+        maxRecentCrimes: 50,
+        rateWindowDays: 7,
 
-        update: function() {
-            this.vandalismCount = 0;
-            this.crimeHotspots.clear();
-            this.recentCrimes = [];
+        // Scans the next slice of path tiles; returns true when a sweep of the whole park completes
+        scanStep: function() {
+            // A sweep keeps the path list it started with, so a snapshot swapped in mid-sweep waits for the next one
+            if (this.cursor === 0) this.sweepTiles = ParkAnalyzer.pathTiles;
+            var tiles = this.sweepTiles;
+            if (tiles.length === 0) return true;
+            var gameTick = this.getGameTick();
+            for (var n = 0; n < VANDALISM_TILES_PER_STEP; n++) {
+                if (this.cursor >= tiles.length) {
+                    this.finishSweep();
+                    return true;
+                }
+                var pathTile = tiles[this.cursor++];
+                var key = pathTile.x + ',' + pathTile.y;
+                this.sweepSeen[key] = true;
+                this.updateTile(pathTile.x, pathTile.y, key, this.isTileVandalised(pathTile.x, pathTile.y), gameTick);
+            }
+            return false;
+        },
 
-            // Check for broken/vandalized path additions (benches, bins, lamps)
+        isTileVandalised: function(x, y) {
             try {
-                var mapWidth = map.size.x;
-                var mapHeight = map.size.y;
-                
-                // Sample paths for vandalism
-                for (var i = 0; i < ParkAnalyzer.pathTiles.length && i < 300; i++) {
-                    var pathTile = ParkAnalyzer.pathTiles[i];
-                    try {
-                        var tile = map.getTile(pathTile.x, pathTile.y);
-                        if (tile) {
-                            for (var j = 0; j < tile.numElements; j++) {
-                                var element = tile.getElement(j);
-                                if (element && element.type === 'footpath') {
-                                    // Check for vandalized additions
-                                    if (element.isBroken || element.isBlockedByVehicle) {
-                                        this.vandalismCount++;
-                                        this.crimeHotspots.add(pathTile.x, pathTile.y, { type: 'vandalism' });
-                                        this.recentCrimes.push({
-                                            x: pathTile.x,
-                                            y: pathTile.y,
-                                            type: 'vandalism',
-                                            tick: this.getGameTick()
-                                        });
-                                    }
-                                }
-                            }
-                        }
-                    } catch (e) {}
+                var tile = GameApi.getTile(x, y);
+                if (!tile) return false;
+                for (var j = 0; j < tile.numElements; j++) {
+                    var element = tile.getElement(j);
+                    if (element && element.type === 'footpath' && element.addition !== null &&
+                            element.addition !== undefined && element.isAdditionBroken === true) {
+                        return true;
+                    }
                 }
             } catch (e) {}
+            return false;
         },
 
-        getCrimeLevel: function() {
-            return this.vandalismCount;
+        updateTile: function(x, y, key, broken, gameTick) {
+            var record = this.tileRecords[key];
+            if (broken) {
+                if (record && record.brokenAt !== null) return;
+                if (!record) record = this.tileRecords[key] = { x: x, y: y, brokenAt: null, repairedAt: null, breakCount: 0 };
+                record.brokenAt = gameTick;
+                this.vandalismCount++;
+                // Damage found on the first sweep may be old, so it is not counted as new crime
+                if (this.initialSweepDone) {
+                    record.breakCount++;
+                    this.breakagesToday++;
+                    this.recentCrimes.push({ x: x, y: y, type: 'vandalism', tick: gameTick });
+                    if (this.recentCrimes.length > this.maxRecentCrimes) this.recentCrimes.shift();
+                    this.rebuildHotspots();
+                }
+            } else if (record && record.brokenAt !== null) {
+                record.brokenAt = null;
+                record.repairedAt = gameTick;
+                this.vandalismCount = Math.max(0, this.vandalismCount - 1);
+            }
         },
 
-        needsMoreSecurity: function() {
-            return this.vandalismCount >= CONFIG.securityCrimeThreshold;
+        finishSweep: function() {
+            this.cursor = 0;
+            for (var key in this.tileRecords) {
+                if (!this.tileRecords.hasOwnProperty(key) || this.sweepSeen[key]) continue;
+                // The path was removed; forget it
+                if (this.tileRecords[key].brokenAt !== null) this.vandalismCount = Math.max(0, this.vandalismCount - 1);
+                delete this.tileRecords[key];
+            }
+            this.sweepSeen = {};
+            this.initialSweepDone = true;
         },
 
-        getCrimeHotspots: function(maxCount) {
-            var hotspots = [];
-            for (var key in this.crimeHotspots.cells) {
-                if (this.crimeHotspots.cells.hasOwnProperty(key)) {
-                    var parts = key.split(',');
-                    hotspots.push({
+        onDay: function() {
+            this.dailyBreakages.push(this.breakagesToday);
+            if (this.dailyBreakages.length > this.rateWindowDays) this.dailyBreakages.shift();
+            this.breakagesToday = 0;
+        },
+
+        // New breakages per in-game day over the recent window
+        getCrimeRate: function() {
+            if (this.dailyBreakages.length === 0) return this.breakagesToday;
+            var total = 0;
+            for (var i = 0; i < this.dailyBreakages.length; i++) total += this.dailyBreakages[i];
+            return Math.round((total / this.dailyBreakages.length) * 10) / 10;
+        },
+
+        rebuildHotspots: function() {
+            this.crimeHotspots.clear();
+            for (var i = 0; i < this.recentCrimes.length; i++) {
+                this.crimeHotspots.add(this.recentCrimes[i].x, this.recentCrimes[i].y, this.recentCrimes[i]);
+            }
+        },
+
+        getCrimeLevel: function() {
+            return this.getCrimeRate();
+        },
+
+        needsMoreSecurity: function() {
+            return this.getCrimeRate() >= CONFIG.securityCrimeThreshold;
+        },
+
+        getCrimeHotspots: function(maxCount) {
+            var hotspots = [];
+            for (var key in this.crimeHotspots.cells) {
+                if (this.crimeHotspots.cells.hasOwnProperty(key)) {
+                    var parts = key.split(',');
+                    hotspots.push({
                         x: parseInt(parts[0]) * 16,
                         y: parseInt(parts[1]) * 16,
                         count: this.crimeHotspots.cells[key].length
@@ -451,8 +1228,433 @@
             return hotspots.slice(0, maxCount || 5);
         },
 
+        reset: function() {
+            this.vandalismCount = 0;
+            this.recentCrimes = [];
+            this.crimeHotspots.clear();
+            this.tileRecords = {};
+            this.cursor = 0;
+            this.sweepTiles = null;
+            this.sweepSeen = {};
+            this.initialSweepDone = false;
+            this.breakagesToday = 0;
+            this.dailyBreakages = [];
+        },
+
+        getGameTick: function() {
+            return GameApi.getTick();
+        }
+    };
+
+    // ============================================================
+    // BREAKDOWN WATCHER - Dispatches the nearest mechanic to broken rides
+    // ============================================================
+    var BreakdownWatcher = {
+        activeBreakdowns: {},
+        breakdownCounts: {},
+        dispatchHistory: [],
+        maxHistory: 20,
+        totalRepairTicks: 0,
+        completedDispatches: 0,
+
+        isBrokenDown: function(ride) {
+            if (!ride) return false;
+            if (typeof ride.lifecycleFlags === 'number') {
+                return (ride.lifecycleFlags & RIDE_LIFECYCLE.BROKEN_DOWN) !== 0;
+            }
+            return false;
+        },
+
+        update: function() {
+            if (!CONFIG.mechanicEnabled || !CONFIG.mechanicBreakdownResponse) return;
+            var gameTick = this.getGameTick();
+            var brokenNow = {};
+
+            try {
+                var rides = GameApi.getRides();
+                for (var i = 0; i < rides.length; i++) {
+                    var ride = rides[i];
+                    if (!ride || ride.classification !== 'ride' || !this.isBrokenDown(ride)) continue;
+                    brokenNow[ride.id] = true;
+                    if (!this.activeBreakdowns[ride.id]) {
+                        this.activeBreakdowns[ride.id] = {
+                            rideId: ride.id,
+                            rideName: ride.name || 'Ride ' + ride.id,
+                            brokenAt: gameTick,
+                            mechanicId: null,
+                            dispatchedAt: null
+                        };
+                        this.breakdownCounts[ride.id] = (this.breakdownCounts[ride.id] || 0) + 1;
+                        StaffManager.statistics.breakdownsDetected++;
+                        if (CONFIG.debugMode) {
+                            console.log('[Staff AI] Breakdown detected: ' + (ride.name || 'Ride ' + ride.id));
+                        }
+                    }
+                }
+            } catch (e) {}
+
+            for (var rideId in this.activeBreakdowns) {
+                if (!this.activeBreakdowns.hasOwnProperty(rideId)) continue;
+                var breakdown = this.activeBreakdowns[rideId];
+                if (!brokenNow[rideId]) {
+                    this.resolve(breakdown, gameTick);
+                } else if (breakdown.mechanicId === null || !this.isStaffPresent(breakdown.mechanicId)) {
+                    breakdown.mechanicId = null;
+                    this.dispatch(breakdown, gameTick);
+                }
+            }
+        },
+
+        dispatch: function(breakdown, gameTick) {
+            var points = this.getRidePoints(breakdown.rideId);
+            if (points.length === 0) return;
+            var mechanic = this.findNearestMechanic(points);
+            if (!mechanic) return;
+
+            var bounds = this.getBounds(points, 3);
+            breakdown.mechanicId = mechanic.id;
+            breakdown.dispatchedAt = gameTick;
+            var entry = DecisionLog.start('dispatch', mechanic.id, 'mechanic', breakdown.rideName + ' broken down');
+            StaffManager.overridePatrolZone(mechanic.id, 'breakdown', bounds.minX, bounds.minY, bounds.maxX, bounds.maxY, entry);
+            StaffManager.statistics.dispatchesMade++;
+            if (CONFIG.debugMode) {
+                console.log('[Staff AI] Dispatched mechanic ' + mechanic.id + ' to ' + breakdown.rideName);
+            }
+        },
+
+        resolve: function(breakdown, gameTick) {
+            delete this.activeBreakdowns[breakdown.rideId];
+            if (breakdown.mechanicId === null) return;
+
+            StaffManager.restorePatrolZone(breakdown.mechanicId);
+            var repairTicks = gameTick - breakdown.brokenAt;
+            this.totalRepairTicks += repairTicks;
+            this.completedDispatches++;
+            this.dispatchHistory.push({
+                rideId: breakdown.rideId,
+                rideName: breakdown.rideName,
+                mechanicId: breakdown.mechanicId,
+                brokenAt: breakdown.brokenAt,
+                dispatchedAt: breakdown.dispatchedAt,
+                fixedAt: gameTick,
+                repairTicks: repairTicks
+            });
+            if (this.dispatchHistory.length > this.maxHistory) this.dispatchHistory.shift();
+        },
+
+        getRidePoints: function(rideId) {
+            var points = (RideTracker.rideEntrances[rideId] || []).concat(RideTracker.rideExits[rideId] || []);
+            if (points.length === 0) {
+                var paths = RideTracker.ridePaths[rideId] || [];
+                for (var i = 0; i < paths.length; i++) {
+                    if (paths[i].type === 'station') points.push(paths[i]);
+                }
+            }
+            return points;
+        },
+
+        getBounds: function(points, padding) {
+            var bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            for (var i = 0; i < points.length; i++) {
+                bounds.minX = Math.min(bounds.minX, points[i].x);
+                bounds.minY = Math.min(bounds.minY, points[i].y);
+                bounds.maxX = Math.max(bounds.maxX, points[i].x);
+                bounds.maxY = Math.max(bounds.maxY, points[i].y);
+            }
+            bounds.minX = Math.max(0, bounds.minX - padding);
+            bounds.minY = Math.max(0, bounds.minY - padding);
+            bounds.maxX += padding;
+            bounds.maxY += padding;
+            return bounds;
+        },
+
+        findNearestMechanic: function(points) {
+            var busy = {};
+            for (var rideId in this.activeBreakdowns) {
+                if (this.activeBreakdowns.hasOwnProperty(rideId) && this.activeBreakdowns[rideId].mechanicId !== null) {
+                    busy[this.activeBreakdowns[rideId].mechanicId] = true;
+                }
+            }
+            var best = null;
+            var bestDistance = CONFIG.mechanicBreakdownRadius;
+            for (var i = 0; i < StaffManager.mechanics.length; i++) {
+                var mechanic = StaffManager.mechanics[i];
+                if (!mechanic || typeof mechanic.id !== 'number' || busy[mechanic.id]) continue;
+                // The restore puts back the generated zone, so a zone set by hand would be lost
+                if (StaffManager.hasZoneOverride(mechanic.id) || !StaffManager.hasGeneratedZone(mechanic.id)) continue;
+                var distance = StaffManager.getDistanceToNearest(mechanic, points);
+                if (distance <= bestDistance) {
+                    best = mechanic;
+                    bestDistance = distance;
+                }
+            }
+            return best;
+        },
+
+        isStaffPresent: function(staffId) {
+            for (var i = 0; i < StaffManager.mechanics.length; i++) {
+                if (StaffManager.mechanics[i] && StaffManager.mechanics[i].id === staffId) return true;
+            }
+            return false;
+        },
+
+        // A demolished ride is no longer waiting for repair; free its mechanic without logging a fix
+        forgetRide: function(rideId) {
+            var breakdown = this.activeBreakdowns[rideId];
+            if (breakdown && breakdown.mechanicId !== null) StaffManager.restorePatrolZone(breakdown.mechanicId);
+            delete this.activeBreakdowns[rideId];
+            delete this.breakdownCounts[rideId];
+        },
+
+        // The ride stays broken, so the next update dispatches another mechanic
+        forgetMechanic: function(staffId) {
+            for (var rideId in this.activeBreakdowns) {
+                if (this.activeBreakdowns.hasOwnProperty(rideId) && this.activeBreakdowns[rideId].mechanicId === staffId) {
+                    this.activeBreakdowns[rideId].mechanicId = null;
+                }
+            }
+        },
+
+        getActiveCount: function() {
+            return Object.keys(this.activeBreakdowns).length;
+        },
+
+        getAverageRepairTicks: function() {
+            if (this.completedDispatches === 0) return 0;
+            return Math.round(this.totalRepairTicks / this.completedDispatches);
+        },
+
+        reset: function() {
+            for (var rideId in this.activeBreakdowns) {
+                if (this.activeBreakdowns.hasOwnProperty(rideId) && this.activeBreakdowns[rideId].mechanicId !== null) {
+                    StaffManager.restorePatrolZone(this.activeBreakdowns[rideId].mechanicId);
+                }
+            }
+            this.activeBreakdowns = {};
+        },
+
+        getGameTick: function() {
+            return GameApi.getTick();
+        }
+    };
+
+    // ============================================================
+    // LITTER DISPATCHER - Pulls the nearest handyman onto litter hotspots
+    // ============================================================
+    var LitterDispatcher = {
+        activeDispatches: {},
+        completedDispatches: 0,
+
+        update: function() {
+            if (!CONFIG.handymanPriorityDispatch) {
+                this.reset();
+                return;
+            }
+            var gameTick = this.getGameTick();
+
+            for (var key in this.activeDispatches) {
+                if (!this.activeDispatches.hasOwnProperty(key)) continue;
+                var dispatch = this.activeDispatches[key];
+                var remaining = this.getLitterCount(dispatch);
+                if (remaining < CONFIG.handymanDispatchClearLitter || !this.isStaffPresent(dispatch.handymanId) ||
+                    gameTick - dispatch.dispatchedAt > LITTER_DISPATCH_TIMEOUT) {
+                    this.release(key, remaining < CONFIG.handymanDispatchClearLitter);
+                }
+            }
+
+            var hotspots = ParkAnalyzer.getLitterHotspots(10);
+            for (var i = 0; i < hotspots.length; i++) {
+                if (Object.keys(this.activeDispatches).length >= CONFIG.handymanDispatchMaxActive) break;
+                var hotspot = hotspots[i];
+                if (hotspot.count < CONFIG.handymanDispatchLitter) break;
+                if (this.activeDispatches[hotspot.x + ',' + hotspot.y]) continue;
+                this.dispatch(hotspot, gameTick);
+            }
+        },
+
+        dispatch: function(hotspot, gameTick) {
+            var handyman = this.findNearestHandyman(hotspot);
+            if (!handyman) return;
+            var size = ParkAnalyzer.litterLocations.cellSize;
+            this.activeDispatches[hotspot.x + ',' + hotspot.y] = {
+                x: hotspot.x,
+                y: hotspot.y,
+                handymanId: handyman.id,
+                litterAtDispatch: hotspot.count,
+                dispatchedAt: gameTick
+            };
+            var entry = DecisionLog.start('dispatch', handyman.id, 'handyman', hotspot.count + ' litter at ' + hotspot.x + ',' + hotspot.y + ' >= ' + CONFIG.handymanDispatchLitter);
+            StaffManager.overridePatrolZone(handyman.id, 'litter', hotspot.x, hotspot.y, hotspot.x + size - 1, hotspot.y + size - 1, entry);
+            StaffManager.statistics.dispatchesMade++;
+            if (CONFIG.debugMode) {
+                console.log('[Staff AI] Dispatched handyman ' + handyman.id + ' to ' + hotspot.count + ' litter at ' + hotspot.x + ',' + hotspot.y);
+            }
+        },
+
+        release: function(key, cleared) {
+            var dispatch = this.activeDispatches[key];
+            delete this.activeDispatches[key];
+            if (StaffManager.getZoneOverrideReason(dispatch.handymanId) === 'litter') {
+                StaffManager.restorePatrolZone(dispatch.handymanId);
+            }
+            if (cleared) this.completedDispatches++;
+        },
+
+        // Drops the handyman's dispatches without touching their zone; the hotspot can be dispatched again
+        forgetHandyman: function(staffId) {
+            for (var key in this.activeDispatches) {
+                if (this.activeDispatches.hasOwnProperty(key) && this.activeDispatches[key].handymanId === staffId) {
+                    delete this.activeDispatches[key];
+                }
+            }
+        },
+
+        // Walking distance over footpaths from the hotspot; staff off the path network are skipped
+        findNearestHandyman: function(hotspot) {
+            var size = ParkAnalyzer.litterLocations.cellSize;
+            var centre = { x: hotspot.x + Math.floor(size / 2), y: hotspot.y + Math.floor(size / 2) };
+            var start = ParkAnalyzer.findNearestPathTile(centre.x, centre.y, size);
+            if (!start) return null;
+            var distances = ParkAnalyzer.getWalkingDistances(start.x, start.y, LITTER_DISPATCH_MAX_WALK);
+
+            var busy = {};
+            for (var key in this.activeDispatches) {
+                if (this.activeDispatches.hasOwnProperty(key)) busy[this.activeDispatches[key].handymanId] = true;
+            }
+            var best = null;
+            var bestDistance = Infinity;
+            for (var i = 0; i < StaffManager.handymen.length; i++) {
+                var handyman = StaffManager.handymen[i];
+                if (!handyman || typeof handyman.id !== 'number' || busy[handyman.id]) continue;
+                if (StaffManager.hasZoneOverride(handyman.id) || StaffManager.isDedicatedHandyman(handyman.id)) continue;
+                // The release puts back the generated zone, so a zone set by hand would be lost
+                if (!StaffManager.hasGeneratedZone(handyman.id)) continue;
+                var distance = distances[Math.floor(handyman.x / 32) + ',' + Math.floor(handyman.y / 32)];
+                if (distance !== undefined && distance < bestDistance) {
+                    best = handyman;
+                    bestDistance = distance;
+                }
+            }
+            return best;
+        },
+
+        getLitterCount: function(dispatch) {
+            var items = ParkAnalyzer.litterLocations.cells[(dispatch.x / ParkAnalyzer.litterLocations.cellSize) + ',' + (dispatch.y / ParkAnalyzer.litterLocations.cellSize)];
+            return items ? items.length : 0;
+        },
+
+        isStaffPresent: function(staffId) {
+            for (var i = 0; i < StaffManager.handymen.length; i++) {
+                if (StaffManager.handymen[i] && StaffManager.handymen[i].id === staffId) return true;
+            }
+            return false;
+        },
+
+        getActiveCount: function() {
+            return Object.keys(this.activeDispatches).length;
+        },
+
+        reset: function() {
+            for (var key in this.activeDispatches) {
+                if (this.activeDispatches.hasOwnProperty(key)) this.release(key, false);
+            }
+        },
+
+        getGameTick: function() {
+            return GameApi.getTick();
+        }
+    };
+
+    // ============================================================
+    // MAINTENANCE PLANNER - Tunes ride inspection intervals daily
+    // ============================================================
+    var MaintenancePlanner = {
+        schedule: [],
+        lastPlanTick: 0,
+
+        onDay: function() {
+            if (!CONFIG.mechanicEnabled || !CONFIG.mechanicPreventiveEnabled) return;
+            if (!NetworkHelper.canModifyGameState()) return;
+            this.plan();
+        },
+
+        plan: function() {
+            var schedule = [];
+            for (var rideId in RideTracker.knownRides) {
+                if (!RideTracker.knownRides.hasOwnProperty(rideId)) continue;
+                var ride = null;
+                ride = GameApi.getRide(parseInt(rideId));
+                if (!ride || ride.classification !== 'ride') continue;
+
+                var need = this.getMaintenanceNeed(ride);
+                var interval = this.getTargetInterval(ride, need);
+                var current = typeof ride.inspectionInterval === 'number' ? ride.inspectionInterval : DEFAULT_INSPECTION_INTERVAL;
+                schedule.push({
+                    rideId: ride.id,
+                    name: ride.name || 'Ride ' + ride.id,
+                    need: need,
+                    interval: interval,
+                    previous: current
+                });
+                if (interval !== current) this.setInspectionInterval(ride.id, interval);
+            }
+            schedule.sort(function(a, b) { return b.need - a.need; });
+            this.schedule = schedule;
+            this.lastPlanTick = this.getGameTick();
+        },
+
+        getReliabilityPercent: function(ride) {
+            if (typeof ride.reliability !== 'number') return 100;
+            // The API exposes the raw 8.8 fixed-point value on some versions
+            return ride.reliability > 100 ? ride.reliability >> 8 : ride.reliability;
+        },
+
+        // Higher means the ride needs inspecting more often
+        getMaintenanceNeed: function(ride) {
+            var reliability = this.getReliabilityPercent(ride);
+            var downtime = typeof ride.downtime === 'number' ? ride.downtime : 0;
+            var ageYears = typeof ride.age === 'number' ? Math.floor(ride.age / 12) : 0;
+            var breakdowns = BreakdownWatcher.breakdownCounts[ride.id] || 0;
+            return (100 - reliability) + downtime * 2 + Math.min(ageYears, 20) * 2 + breakdowns * 5;
+        },
+
+        isFlatRide: function(ride) {
+            return FLAT_RIDE_TYPES.indexOf(ride.type) !== -1;
+        },
+
+        getTargetInterval: function(ride, need) {
+            var interval;
+            if (need >= 80) interval = 0;
+            else if (need >= 50) interval = 1;
+            else if (need >= 30) interval = 2;
+            else if (need >= 15) interval = 3;
+            else interval = this.isFlatRide(ride) ? 5 : 4;
+
+            // Without inspection priority the planner only ever relaxes the game default
+            if (!CONFIG.mechanicInspectionPriority) {
+                interval = Math.max(interval, DEFAULT_INSPECTION_INTERVAL);
+            }
+            return interval;
+        },
+
+        setInspectionInterval: function(rideId, interval) {
+            var args = { ride: rideId, setting: RIDE_SETTING.INSPECTION_INTERVAL, value: interval };
+            ActionQueue.add('ridesetsetting', args, function(result) {
+                if (result.error === 0) StaffManager.statistics.inspectionChanges++;
+            });
+        },
+
+        getScheduleItems: function() {
+            var items = [];
+            for (var i = 0; i < this.schedule.length; i++) {
+                var entry = this.schedule[i];
+                items.push([entry.name, String(entry.need), INSPECTION_INTERVALS[entry.interval] || '?']);
+            }
+            return items;
+        },
+
         getGameTick: function() {
-            try { return date.ticksElapsed || 0; } catch (e) { return 0; }
+            return GameApi.getTick();
         }
     };
 
@@ -465,90 +1667,118 @@
         averageHappiness: 128,
         happinessPercent: 50,
         unhappyGuestCount: 0,
+        nauseousGuests: 0,
         totalGuests: 0,
         feedbackSummary: {},
 
-        update: function() {
-            this.disgustCount = 0;
-            this.litterComplaints = 0;
-            this.unhappyGuestCount = 0;
-            var totalHappiness = 0;
-            var happyCount = 0;
+        scan: null,
 
-            try {
-                var guests = map.getAllEntities('guest');
-                this.totalGuests = guests.length;
+        // Counts go into a scratch scan and only replace the published figures once every guest is seen
+        beginScan: function() {
+            this.scan = {
+                guests: GameApi.getEntities('guest'),
+                index: 0,
+                disgust: 0,
+                litter: 0,
+                unhappy: 0,
+                nauseous: 0,
+                totalHappiness: 0,
+                happyCount: 0
+            };
+        },
 
-                for (var i = 0; i < guests.length; i++) {
-                    var guest = guests[i];
-                    if (!guest) continue;
+        scanStep: function() {
+            if (!this.scan) this.beginScan();
+            var scan = this.scan;
+            var end = Math.min(scan.guests.length, scan.index + GUESTS_PER_STEP);
+            for (; scan.index < end; scan.index++) {
+                try { this.scanGuest(scan, scan.guests[scan.index]); } catch (e) {}
+            }
+            if (scan.index < scan.guests.length) return false;
+            this.publishScan(scan);
+            this.scan = null;
+            return true;
+        },
 
-                    // Track happiness
-                    if (typeof guest.happiness === 'number') {
-                        totalHappiness += guest.happiness;
-                        happyCount++;
-                        
-                        // Check if unhappy (below 60% = 153 on 0-255 scale)
-                        if (guest.happiness < 153) {
-                            this.unhappyGuestCount++;
-                        }
-                    }
+        scanGuest: function(scan, guest) {
+            if (!guest) return;
 
-                    // Check guest thoughts for complaints
-                    if (guest.thoughts && guest.thoughts.length > 0) {
-                        for (var j = 0; j < guest.thoughts.length; j++) {
-                            var thought = guest.thoughts[j];
-                            if (thought) {
-                                var thoughtType = thought.type;
-                                
-                                // Disgust/cleanliness complaints
-                                if (thoughtType === 'disgusting' || 
-                                    thoughtType === 'bad_litter' ||
-                                    thoughtType === 'path_disgusting' ||
-                                    thoughtType === 'vandalism') {
-                                    this.disgustCount++;
-                                }
-                                
-                                // Litter specific
-                                if (thoughtType === 'bad_litter' || 
-                                    thoughtType === 'litter') {
-                                    this.litterComplaints++;
-                                }
-                            }
-                        }
-                    }
+            // Track happiness
+            if (typeof guest.happiness === 'number') {
+                scan.totalHappiness += guest.happiness;
+                scan.happyCount++;
 
-                    // Check nausea as indicator of needing cleanup
-                    if (typeof guest.nausea === 'number' && guest.nausea > 150) {
-                        this.disgustCount++;
-                    }
+                // Check if unhappy (below 60% = 153 on 0-255 scale)
+                if (guest.happiness < 153) {
+                    scan.unhappy++;
                 }
+            }
 
-                if (happyCount > 0) {
-                    this.averageHappiness = totalHappiness / happyCount;
-                    this.happinessPercent = Math.round((this.averageHappiness / 255) * 100);
-                }
+            // Check guest thoughts for complaints
+            if (guest.thoughts && guest.thoughts.length > 0) {
+                for (var j = 0; j < guest.thoughts.length; j++) {
+                    var thought = guest.thoughts[j];
+                    if (thought) {
+                        var thoughtType = thought.type;
 
-                this.feedbackSummary = {
-                    disgust: this.disgustCount,
-                    litter: this.litterComplaints,
-                    happiness: this.happinessPercent,
-                    unhappy: this.unhappyGuestCount,
-                    total: this.totalGuests
-                };
+                        // Disgust/cleanliness complaints
+                        if (thoughtType === 'disgusting' ||
+                            thoughtType === 'bad_litter' ||
+                            thoughtType === 'path_disgusting' ||
+                            thoughtType === 'vandalism') {
+                            scan.disgust++;
+                        }
 
-            } catch (e) {
-                if (CONFIG.debugMode) {
-                    console.log('[Staff AI] Guest feedback error: ' + e);
+                        // Litter specific
+                        if (thoughtType === 'bad_litter' ||
+                            thoughtType === 'litter') {
+                            scan.litter++;
+                        }
+                    }
                 }
             }
+
+            // Check nausea as indicator of needing cleanup
+            if (typeof guest.nausea === 'number' && guest.nausea > 150) {
+                scan.disgust++;
+                scan.nauseous++;
+            }
+        },
+
+        publishScan: function(scan) {
+            this.disgustCount = scan.disgust;
+            this.litterComplaints = scan.litter;
+            this.unhappyGuestCount = scan.unhappy;
+            this.nauseousGuests = scan.nauseous;
+            this.totalGuests = scan.guests.length;
+            if (scan.happyCount > 0) {
+                this.averageHappiness = scan.totalHappiness / scan.happyCount;
+                this.happinessPercent = Math.round((this.averageHappiness / 255) * 100);
+            }
+            this.feedbackSummary = {
+                disgust: this.disgustCount,
+                litter: this.litterComplaints,
+                happiness: this.happinessPercent,
+                unhappy: this.unhappyGuestCount,
+                total: this.totalGuests
+            };
         },
 
         needsMoreHandymen: function() {
             // Hire if disgust complaints or litter complaints exceed threshold
             return this.disgustCount >= CONFIG.handymanDisgustThreshold ||
                    this.litterComplaints >= CONFIG.handymanLitterThreshold ||
-                   ParkAnalyzer.totalLitter > CONFIG.handymanLitterThreshold * 2;
+                   ParkAnalyzer.totalLitter + ParkAnalyzer.totalVomit > CONFIG.handymanLitterThreshold * 2;
+        },
+
+        getHandymanTrigger: function() {
+            if (this.disgustCount >= CONFIG.handymanDisgustThreshold) {
+                return 'disgust ' + this.disgustCount + ' >= threshold ' + CONFIG.handymanDisgustThreshold;
+            }
+            if (this.litterComplaints >= CONFIG.handymanLitterThreshold) {
+                return 'litter complaints ' + this.litterComplaints + ' >= threshold ' + CONFIG.handymanLitterThreshold;
+            }
+            return 'litter ' + (ParkAnalyzer.totalLitter + ParkAnalyzer.totalVomit) + ' > ' + (CONFIG.handymanLitterThreshold * 2);
         },
 
         needsMoreEntertainers: function() {
@@ -593,14 +1823,21 @@
     // ============================================================
     var ParkAnalyzer = {
         litterLocations: new SpatialHash(8),
+        vomitLocations: new SpatialHash(8),
+        vomitHeat: {},
         vandalismLocations: new SpatialHash(8),
         guestDensity: new SpatialHash(16),
         pathTiles: [],
+        pathTileKeys: {},
         rideLocations: [],
         entranceLocations: [],
         queueLocations: [],
+        queueTileKeys: {},
+        queueGuests: {},
+        totalQueueGuests: 0,
         totalPathTiles: 0,
         totalLitter: 0,
+        totalVomit: 0,
         totalVandalism: 0,
         totalRides: 0,
         totalGuests: 0,
@@ -608,24 +1845,105 @@
         isAnalyzed: false,
         analysisProgress: 0,
         analysisTotal: 0,
+        building: null,
+        dirtyTiles: {},
+        layoutVersion: 0,
 
-        startAnalysis: function() {
+        // The path, queue, ride and entrance maps readers use; replaced whole when a rebuild finishes
+        createLayout: function() {
+            return {
+                pathTiles: [],
+                pathTileKeys: {},
+                rideLocations: [],
+                entranceLocations: [],
+                queueLocations: [],
+                queueTileKeys: {},
+                totalPathTiles: 0
+            };
+        },
+
+        // Drops the current snapshot (a different park was loaded) and scans the whole map
+        reset: function() {
+            this.publishLayout(this.createLayout());
             this.litterLocations.clear();
+            this.vomitLocations.clear();
             this.vandalismLocations.clear();
             this.guestDensity.clear();
-            this.pathTiles = [];
-            this.rideLocations = [];
-            this.entranceLocations = [];
-            this.queueLocations = [];
-            this.totalPathTiles = 0;
+            this.queueGuests = {};
+            this.totalQueueGuests = 0;
             this.totalLitter = 0;
+            this.totalVomit = 0;
             this.totalVandalism = 0;
+            this.densityScan = null;
+            this.dirtyTiles = {};
             this.isAnalyzed = false;
+            this.startAnalysis();
+        },
+
+        // Rescans the whole map in the background; readers keep the last complete snapshot meanwhile
+        startAnalysis: function() {
+            var mapSize = GameApi.getMapSize();
+            this.dirtyTiles = {};
+            this.beginBuild(this.createLayout(), null, mapSize.x * mapSize.y);
+        },
+
+        // Rescans only tiles touched by layout actions since the last rebuild; false when nothing changed
+        refresh: function() {
+            if (this.building) return false;
+            var keys = Object.keys(this.dirtyTiles);
+            if (keys.length === 0) return false;
+            var dirty = this.dirtyTiles;
+            this.dirtyTiles = {};
+            var layout = this.createLayout();
+            var keep = function(tile) { return !dirty[tile.x + ',' + tile.y]; };
+            var queueRides = {};
+            this.queueLocations.forEach(function(tile) { queueRides[tile.x + ',' + tile.y] = tile.rideId; });
+            this.pathTiles.filter(keep).forEach(function(tile) {
+                var key = tile.x + ',' + tile.y;
+                this.addPathTile(layout, tile.x, tile.y, queueRides.hasOwnProperty(key), queueRides[key]);
+            }, this);
+            layout.rideLocations = this.rideLocations.filter(keep);
+            layout.entranceLocations = this.entranceLocations.filter(keep);
+            var tiles = keys.map(function(key) {
+                var parts = key.split(',');
+                return { x: parseInt(parts[0], 10), y: parseInt(parts[1], 10) };
+            });
+            this.beginBuild(layout, tiles, tiles.length);
+            return true;
+        },
+
+        beginBuild: function(layout, tiles, total) {
+            this.building = { layout: layout, tiles: tiles };
             this.analysisProgress = 0;
-            try {
-                this.analysisTotal = map.size.x * map.size.y;
-            } catch (e) {
-                this.analysisTotal = 128 * 128;
+            this.analysisTotal = total;
+            Scheduler.start('analysis');
+        },
+
+        isRebuilding: function() {
+            return this.building !== null;
+        },
+
+        markDirty: function(x, y, radius) {
+            for (var dy = -radius; dy <= radius; dy++) {
+                for (var dx = -radius; dx <= radius; dx++) {
+                    this.dirtyTiles[(x + dx) + ',' + (y + dy)] = true;
+                }
+            }
+        },
+
+        onActionExecuted: function(e) {
+            if (!e || !LAYOUT_CHANGE_ACTIONS.hasOwnProperty(e.action) || (e.result && e.result.error)) return;
+            var args = e.args || {};
+            var position = typeof args.x === 'number' ? args : (e.result && e.result.position);
+            if (position && typeof position.x === 'number') {
+                this.markDirty(Math.floor(position.x / 32), Math.floor(position.y / 32), LAYOUT_CHANGE_ACTIONS[e.action]);
+            }
+        },
+
+        // Demolished rides take their track with them; there is no position on the action
+        markRideDirty: function(rideId) {
+            for (var i = 0; i < this.rideLocations.length; i++) {
+                if (this.rideLocations[i].rideId === rideId) this.markDirty(this.rideLocations[i].x, this.rideLocations[i].y, 1);
             }
         },
 
@@ -634,41 +1952,26 @@
             return Math.floor((this.analysisProgress / this.analysisTotal) * 100);
         },
 
-        runAnalysisStep: function() {
-            if (this.isAnalyzed) return true;
+        runAnalysisStep: function(maxTiles) {
+            var build = this.building;
+            if (!build) return true;
+            maxTiles = maxTiles || ANALYSIS_TILES_PER_STEP;
             var processed = 0;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
+            var mapWidth = GameApi.getMapSize().x;
 
-            while (this.analysisProgress < this.analysisTotal && processed < 500) {
-                var tileX = this.analysisProgress % mapWidth;
-                var tileY = Math.floor(this.analysisProgress / mapWidth);
-                try {
-                    var tile = map.getTile(tileX, tileY);
-                    if (tile && tile.elements) {
-                        for (var i = 0; i < tile.numElements; i++) {
-                            var element = tile.getElement(i);
-                            if (element) {
-                                if (element.type === 'footpath') {
-                                    this.pathTiles.push({ x: tileX, y: tileY });
-                                    this.totalPathTiles++;
-                                    if (element.isQueue) {
-                                        this.queueLocations.push({ x: tileX, y: tileY });
-                                    }
-                                } else if (element.type === 'track' && typeof element.ride === 'number') {
-                                    this.rideLocations.push({ x: tileX, y: tileY, rideId: element.ride });
-                                } else if (element.type === 'entrance') {
-                                    this.entranceLocations.push({ x: tileX, y: tileY });
-                                }
-                            }
-                        }
-                    }
-                } catch (e) {}
+            while (this.analysisProgress < this.analysisTotal && processed < maxTiles) {
+                if (build.tiles) {
+                    this.scanTile(build.layout, build.tiles[this.analysisProgress].x, build.tiles[this.analysisProgress].y);
+                } else {
+                    this.scanTile(build.layout, this.analysisProgress % mapWidth, Math.floor(this.analysisProgress / mapWidth));
+                }
                 this.analysisProgress++;
                 processed++;
             }
 
             if (this.analysisProgress >= this.analysisTotal) {
+                this.building = null;
+                this.publishLayout(build.layout);
                 this.isAnalyzed = true;
                 this.updateRideStats();
                 return true;
@@ -676,9 +1979,74 @@
             return false;
         },
 
+        scanTile: function(layout, tileX, tileY) {
+            try {
+                var tile = GameApi.getTile(tileX, tileY);
+                if (!tile || !tile.elements) return;
+                for (var i = 0; i < tile.numElements; i++) {
+                    var element = tile.getElement(i);
+                    if (!element) continue;
+                    if (element.type === 'footpath') {
+                        this.addPathTile(layout, tileX, tileY, element.isQueue, typeof element.ride === 'number' ? element.ride : null);
+                    } else if (element.type === 'track' && typeof element.ride === 'number') {
+                        layout.rideLocations.push({ x: tileX, y: tileY, rideId: element.ride });
+                    } else if (element.type === 'entrance') {
+                        layout.entranceLocations.push({ x: tileX, y: tileY });
+                    }
+                }
+            } catch (e) {}
+        },
+
+        addPathTile: function(layout, x, y, isQueue, rideId) {
+            var key = x + ',' + y;
+            if (!layout.pathTileKeys[key]) {
+                layout.pathTiles.push({ x: x, y: y });
+                layout.pathTileKeys[key] = true;
+                layout.totalPathTiles++;
+            }
+            if (isQueue && !layout.queueTileKeys[key]) {
+                layout.queueLocations.push({ x: x, y: y, rideId: rideId });
+                layout.queueTileKeys[key] = true;
+            }
+        },
+
+        // Swaps in a finished snapshot; layoutVersion only moves when paths, queues, rides or entrances differ
+        publishLayout: function(layout) {
+            var changed = !this.sameKeys(this.pathTileKeys, layout.pathTileKeys) ||
+                !this.sameKeys(this.queueTileKeys, layout.queueTileKeys) ||
+                !this.sameKeys(this.toKeys(this.rideLocations), this.toKeys(layout.rideLocations)) ||
+                !this.sameKeys(this.toKeys(this.entranceLocations), this.toKeys(layout.entranceLocations));
+            this.pathTiles = layout.pathTiles;
+            this.pathTileKeys = layout.pathTileKeys;
+            this.rideLocations = layout.rideLocations;
+            this.entranceLocations = layout.entranceLocations;
+            this.queueLocations = layout.queueLocations;
+            this.queueTileKeys = layout.queueTileKeys;
+            this.totalPathTiles = layout.totalPathTiles;
+            if (changed) this.layoutVersion++;
+        },
+
+        toKeys: function(locations) {
+            var keys = {};
+            for (var i = 0; i < locations.length; i++) {
+                keys[locations[i].x + ',' + locations[i].y + (locations[i].rideId !== undefined ? ':' + locations[i].rideId : '')] = true;
+            }
+            return keys;
+        },
+
+        sameKeys: function(a, b) {
+            var count = 0;
+            for (var key in a) {
+                if (!a.hasOwnProperty(key)) continue;
+                if (!b[key]) return false;
+                count++;
+            }
+            return count === Object.keys(b).length;
+        },
+
         updateRideStats: function() {
             try {
-                var rides = map.rides;
+                var rides = GameApi.getRides();
                 this.totalRides = 0;
                 for (var i = 0; i < rides.length; i++) {
                     if (rides[i] && rides[i].classification === 'ride') {
@@ -688,56 +2056,165 @@
             } catch (e) {}
         },
 
-        updateLitterAndVandalism: function() {
-            this.litterLocations.clear();
-            this.vandalismLocations.clear();
-            this.totalLitter = 0;
-            this.totalVandalism = 0;
-            try {
-                var litter = map.getAllEntities('litter');
-                for (var i = 0; i < litter.length; i++) {
-                    var item = litter[i];
-                    if (item) {
-                        var tx = Math.floor(item.x / 32);
-                        var ty = Math.floor(item.y / 32);
-                        this.litterLocations.add(tx, ty, item);
-                        this.totalLitter++;
+        litterScan: null,
+
+        // Like the density scan, litter is sorted into scratch hashes and swapped in when the scan ends
+        beginLitterScan: function() {
+            this.litterScan = {
+                litter: GameApi.getEntities('litter'),
+                index: 0,
+                litterLocations: new SpatialHash(this.litterLocations.cellSize),
+                vomitLocations: new SpatialHash(this.vomitLocations.cellSize),
+                vomitCounts: {},
+                totalLitter: 0,
+                totalVomit: 0
+            };
+        },
+
+        litterStep: function() {
+            if (!this.litterScan) this.beginLitterScan();
+            var scan = this.litterScan;
+            var end = Math.min(scan.litter.length, scan.index + LITTER_PER_STEP);
+            for (; scan.index < end; scan.index++) {
+                var item = scan.litter[scan.index];
+                try {
+                    if (!item || typeof item.x !== 'number') continue;
+                    var tx = Math.floor(item.x / 32);
+                    var ty = Math.floor(item.y / 32);
+                    if (VOMIT_LITTER_TYPES.indexOf(item.litterType) !== -1) {
+                        scan.vomitLocations.add(tx, ty, item);
+                        scan.vomitCounts[tx + ',' + ty] = (scan.vomitCounts[tx + ',' + ty] || 0) + 1;
+                        scan.totalVomit++;
+                    } else {
+                        scan.litterLocations.add(tx, ty, item);
+                        scan.totalLitter++;
                     }
+                } catch (e) {}
+            }
+            if (scan.index < scan.litter.length) return false;
+
+            this.litterLocations = scan.litterLocations;
+            this.vomitLocations = scan.vomitLocations;
+            this.totalLitter = scan.totalLitter;
+            this.totalVomit = scan.totalVomit;
+            this.vandalismLocations.clear();
+            this.totalVandalism = 0;
+            this.decayVomitHeat();
+            for (var key in scan.vomitCounts) {
+                if (scan.vomitCounts.hasOwnProperty(key)) this.vomitHeat[key] = (this.vomitHeat[key] || 0) + scan.vomitCounts[key];
+            }
+            this.litterScan = null;
+            return true;
+        },
+
+        // Vomit is swept quickly, so a decaying heat layer remembers where it keeps appearing
+        decayVomitHeat: function() {
+            for (var key in this.vomitHeat) {
+                if (!this.vomitHeat.hasOwnProperty(key)) continue;
+                this.vomitHeat[key] *= VOMIT_HEAT_DECAY;
+                if (this.vomitHeat[key] < 0.05) delete this.vomitHeat[key];
+            }
+        },
+
+        getVomitHeatNear: function(x, y, radius) {
+            var heat = 0;
+            for (var dy = -radius; dy <= radius; dy++) {
+                for (var dx = -radius; dx <= radius; dx++) {
+                    heat += this.vomitHeat[(x + dx) + ',' + (y + dy)] || 0;
                 }
-            } catch (e) {}
+            }
+            return heat;
         },
 
-        updateGuestDensity: function() {
-            this.guestDensity.clear();
-            var totalHappiness = 0;
-            var guestCount = 0;
-            try {
-                var guests = map.getAllEntities('guest');
-                this.totalGuests = guests.length;
-                for (var i = 0; i < guests.length; i++) {
-                    var guest = guests[i];
-                    if (guest && typeof guest.x === 'number') {
-                        var tx = Math.floor(guest.x / 32);
-                        var ty = Math.floor(guest.y / 32);
-                        this.guestDensity.add(tx, ty, guest);
-                        if (typeof guest.happiness === 'number') {
-                            totalHappiness += guest.happiness;
-                            guestCount++;
-                        }
+        densityScan: null,
+
+        // Builds into a scratch hash so readers keep the last complete picture until the scan ends
+        beginDensityScan: function() {
+            this.densityScan = {
+                guests: GameApi.getEntities('guest'),
+                index: 0,
+                density: new SpatialHash(16),
+                queueGuests: {},
+                totalQueueGuests: 0,
+                totalHappiness: 0,
+                guestCount: 0
+            };
+        },
+
+        densityStep: function() {
+            if (!this.densityScan) this.beginDensityScan();
+            var scan = this.densityScan;
+            var end = Math.min(scan.guests.length, scan.index + GUESTS_PER_STEP);
+            for (; scan.index < end; scan.index++) {
+                var guest = scan.guests[scan.index];
+                try {
+                    if (!guest || typeof guest.x !== 'number') continue;
+                    var tx = Math.floor(guest.x / 32);
+                    var ty = Math.floor(guest.y / 32);
+                    scan.density.add(tx, ty, guest);
+                    if (this.queueTileKeys[tx + ',' + ty]) {
+                        scan.queueGuests[tx + ',' + ty] = (scan.queueGuests[tx + ',' + ty] || 0) + 1;
+                        scan.totalQueueGuests++;
+                    }
+                    if (typeof guest.happiness === 'number') {
+                        scan.totalHappiness += guest.happiness;
+                        scan.guestCount++;
+                    }
+                } catch (e) {}
+            }
+            if (scan.index < scan.guests.length) return false;
+
+            this.guestDensity = scan.density;
+            this.queueGuests = scan.queueGuests;
+            this.totalQueueGuests = scan.totalQueueGuests;
+            this.totalGuests = scan.guests.length;
+            this.averageGuestHappiness = scan.guestCount > 0 ? scan.totalHappiness / scan.guestCount : 0;
+            this.densityScan = null;
+            return true;
+        },
+
+        // Connected runs of queue tiles, busiest first; a run is scored by queuing guests plus its length
+        getQueueClusters: function() {
+            var clusters = [];
+            var seen = {};
+            var directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+            for (var i = 0; i < this.queueLocations.length; i++) {
+                var start = this.queueLocations[i];
+                if (seen[start.x + ',' + start.y]) continue;
+                var cluster = { points: [], rideId: start.rideId, guests: 0, length: 0, score: 0 };
+                var stack = [start];
+                seen[start.x + ',' + start.y] = true;
+                while (stack.length > 0) {
+                    var tile = stack.pop();
+                    cluster.points.push({ x: tile.x, y: tile.y });
+                    cluster.guests += this.queueGuests[tile.x + ',' + tile.y] || 0;
+                    for (var d = 0; d < directions.length; d++) {
+                        var nx = tile.x + directions[d][0];
+                        var ny = tile.y + directions[d][1];
+                        var key = nx + ',' + ny;
+                        if (seen[key] || !this.queueTileKeys[key]) continue;
+                        seen[key] = true;
+                        stack.push({ x: nx, y: ny });
                     }
                 }
-                this.averageGuestHappiness = guestCount > 0 ? totalHappiness / guestCount : 0;
-            } catch (e) {}
+                cluster.length = cluster.points.length;
+                cluster.score = cluster.guests + cluster.length / 2;
+                clusters.push(cluster);
+            }
+            clusters.sort(function(a, b) { return b.score - a.score; });
+            return clusters;
         },
 
+        // Busiest litter cells, as the tile coordinates of each cell's corner
         getLitterHotspots: function(maxCount) {
             var hotspots = [];
+            var size = this.litterLocations.cellSize;
             for (var key in this.litterLocations.cells) {
                 if (this.litterLocations.cells.hasOwnProperty(key)) {
                     var items = this.litterLocations.cells[key];
                     if (items && items.length > 0) {
                         var parts = key.split(',');
-                        hotspots.push({ x: parseInt(parts[0]), y: parseInt(parts[1]), count: items.length });
+                        hotspots.push({ x: parseInt(parts[0]) * size, y: parseInt(parts[1]) * size, count: items.length });
                     }
                 }
             }
@@ -745,6 +2222,65 @@
             return hotspots.slice(0, maxCount || 10);
         },
 
+        findNearestPathTile: function(x, y, radius) {
+            var best = null;
+            var bestDistance = Infinity;
+            for (var dy = -radius; dy <= radius; dy++) {
+                for (var dx = -radius; dx <= radius; dx++) {
+                    var distance = Math.abs(dx) + Math.abs(dy);
+                    if (distance < bestDistance && this.pathTileKeys[(x + dx) + ',' + (y + dy)]) {
+                        best = { x: x + dx, y: y + dy };
+                        bestDistance = distance;
+                    }
+                }
+            }
+            return best;
+        },
+
+        // Steps along connected footpaths from a tile, keyed 'x,y'
+        getWalkingDistances: function(startX, startY, maxSteps) {
+            var distances = {};
+            var queue = [{ x: startX, y: startY }];
+            var directions = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+            distances[startX + ',' + startY] = 0;
+            for (var head = 0; head < queue.length; head++) {
+                var current = queue[head];
+                var steps = distances[current.x + ',' + current.y];
+                if (steps >= maxSteps) continue;
+                for (var d = 0; d < directions.length; d++) {
+                    var nx = current.x + directions[d][0];
+                    var ny = current.y + directions[d][1];
+                    var key = nx + ',' + ny;
+                    if (distances[key] !== undefined || !this.pathTileKeys[key]) continue;
+                    distances[key] = steps + 1;
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+            return distances;
+        },
+
+        getPathTilesInRect: function(x1, y1, x2, y2) {
+            var tiles = [];
+            for (var i = 0; i < this.pathTiles.length; i++) {
+                var tile = this.pathTiles[i];
+                if (tile.x >= x1 && tile.x <= x2 && tile.y >= y1 && tile.y <= y2) tiles.push(tile);
+            }
+            return tiles;
+        },
+
+        getLitterByTile: function() {
+            var byTile = {};
+            for (var key in this.litterLocations.cells) {
+                if (!this.litterLocations.cells.hasOwnProperty(key)) continue;
+                var items = this.litterLocations.cells[key];
+                for (var i = 0; i < items.length; i++) {
+                    var tileKey = items[i].x + ',' + items[i].y;
+                    byTile[tileKey] = (byTile[tileKey] || 0) + 1;
+                }
+            }
+            return byTile;
+        },
+
         getGuestHotspots: function(maxCount) {
             var hotspots = [];
             for (var key in this.guestDensity.cells) {
@@ -771,8 +2307,9 @@
     var ActionQueue = {
         queue: [],
         maxPerTick: 3,
-        add: function(actionName, args, callback) {
-            this.queue.push({ action: actionName, args: args, callback: callback });
+        // Actions sharing a group (e.g. one staff member's patrol area) run at most once per tick
+        add: function(actionName, args, callback, staffType, group) {
+            this.queue.push({ action: actionName, args: args, callback: callback, staffType: staffType, group: group });
         },
         process: function() {
             if (!NetworkHelper.canModifyGameState()) {
@@ -780,16 +2317,267 @@
                 return;
             }
             var processed = 0;
-            while (this.queue.length > 0 && processed < this.maxPerTick) {
-                var item = this.queue.shift();
-                try {
-                    context.executeAction(item.action, item.args, item.callback || function() {});
-                } catch (e) {}
+            var usedGroups = {};
+            var remaining = [];
+            for (var i = 0; i < this.queue.length; i++) {
+                var item = this.queue[i];
+                var hasGroup = item.group !== undefined && item.group !== null;
+                if (processed >= this.maxPerTick || (hasGroup && usedGroups[item.group])) {
+                    remaining.push(item);
+                    continue;
+                }
+                if (hasGroup) usedGroups[item.group] = true;
+                GameApi.executeAction(item.action, item.args, item.callback || function() {});
                 processed++;
             }
+            this.queue = remaining;
+        }
+    };
+
+    // ============================================================
+    // DECISION LOG - Why each automated action was taken and how it ended
+    // ============================================================
+    var DECISION_LOG_CAPACITY = 200;
+    var DECISION_ACTIONS = ['hire', 'fire', 'zone', 'orders', 'dispatch'];
+
+    var DecisionLog = {
+        entries: [],
+
+        // Newest first; the entry is completed later from the game action callbacks
+        start: function(action, staffId, staffType, trigger) {
+            var entry = {
+                tick: StaffManager.getGameTick(),
+                action: action,
+                staffId: typeof staffId === 'number' ? staffId : null,
+                staffType: staffType || '',
+                trigger: trigger || '',
+                result: 'pending',
+                pending: 0,
+                repeats: 1
+            };
+            this.entries.unshift(entry);
+            this.trim();
+            if (CONFIG.debugMode) {
+                console.log('[Staff AI] Decision: ' + action + ' ' + entry.staffType + ' ' + (entry.staffId !== null ? entry.staffId : '') + ' (' + entry.trigger + ')');
+            }
+            return entry;
+        },
+
+        // Zone changes come in bursts of one entry per staff member, so they are dropped before hires, fires and dispatches
+        trim: function() {
+            if (this.entries.length <= DECISION_LOG_CAPACITY) return;
+            for (var i = this.entries.length - 1; i >= 0; i--) {
+                if (this.entries[i].action === 'zone') {
+                    this.entries.splice(i, 1);
+                    return;
+                }
+            }
+            this.entries.pop();
+        },
+
+        // An already-decided outcome; when it repeats the previous one of the same kind
+        // (e.g. a hire the budget keeps blocking) that entry is counted up instead
+        record: function(action, staffId, staffType, trigger, result) {
+            for (var i = 0; i < this.entries.length; i++) {
+                var previous = this.entries[i];
+                if (previous.action !== action || previous.staffType !== (staffType || '') || previous.staffId !== (typeof staffId === 'number' ? staffId : null)) continue;
+                if (previous.pending !== 0 || previous.result.split(' - ')[0] !== result.split(' - ')[0]) break;
+                this.entries.splice(i, 1);
+                this.entries.unshift(previous);
+                previous.tick = StaffManager.getGameTick();
+                previous.trigger = trigger || '';
+                previous.result = result;
+                previous.repeats++;
+                return previous;
+            }
+            var entry = this.start(action, staffId, staffType, trigger);
+            this.finish(entry, result);
+            return entry;
+        },
+
+        expect: function(entry) {
+            if (entry) entry.pending++;
+        },
+
+        // The first failure sticks; success is only reported once every action has answered
+        complete: function(entry, result) {
+            if (!entry) return;
+            entry.pending = Math.max(0, entry.pending - 1);
+            if (result && result.error !== 0) {
+                if (entry.result === 'pending' || entry.result === 'ok') entry.result = this.describeError(result);
+            } else if (entry.pending === 0 && entry.result === 'pending') {
+                entry.result = 'ok';
+            }
+        },
+
+        finish: function(entry, result) {
+            if (!entry) return;
+            entry.pending = 0;
+            entry.result = result;
+        },
+
+        describeError: function(result) {
+            var text = [result.errorTitle, result.errorMessage].filter(function(part) { return !!part; }).join(': ');
+            return 'error ' + result.error + (text ? ' - ' + text : '');
+        },
+
+        getItems: function(actionFilter, typeFilter) {
+            var items = [];
+            for (var i = 0; i < this.entries.length; i++) {
+                var entry = this.entries[i];
+                if (actionFilter && entry.action !== actionFilter) continue;
+                if (typeFilter && entry.staffType !== typeFilter) continue;
+                var staff = entry.staffType + (entry.staffId !== null ? ' #' + entry.staffId : '');
+                items.push([String(entry.tick), entry.action, staff, entry.trigger, entry.result + (entry.repeats > 1 ? ' (x' + entry.repeats + ')' : '')]);
+            }
+            return items;
+        },
+
+        clear: function() {
+            this.entries = [];
+        },
+
+        serialize: function() {
+            return this.entries.map(function(entry) {
+                return { tick: entry.tick, action: entry.action, staffId: entry.staffId, staffType: entry.staffType, trigger: entry.trigger, result: entry.result, repeats: entry.repeats };
+            });
+        },
+
+        // Actions still in flight when the park was saved never report back
+        restore: function(data) {
+            this.clear();
+            if (!data || typeof data.length !== 'number') return;
+            for (var i = 0; i < data.length && i < DECISION_LOG_CAPACITY; i++) {
+                var saved = data[i];
+                if (!saved || typeof saved.action !== 'string') continue;
+                this.entries.push({
+                    tick: typeof saved.tick === 'number' ? saved.tick : 0,
+                    action: saved.action,
+                    staffId: typeof saved.staffId === 'number' ? saved.staffId : null,
+                    staffType: String(saved.staffType || ''),
+                    trigger: String(saved.trigger || ''),
+                    result: saved.result === 'pending' ? 'unknown' : String(saved.result || ''),
+                    pending: 0,
+                    repeats: typeof saved.repeats === 'number' && saved.repeats > 1 ? Math.floor(saved.repeats) : 1
+                });
+            }
+        }
+    };
+
+    // ============================================================
+    // BUDGET GOVERNOR - Every automated hire must be affordable
+    // ============================================================
+    var BudgetGovernor = {
+        blockedHires: [],
+        maxBlocked: 10,
+        trackedMonth: -1,
+        lastMonthIncome: 0,
+        currentMonthIncome: 0,
+
+        getCash: function() {
+            return GameApi.getCash();
+        },
+
+        hasMoney: function() {
+            return !GameApi.getParkFlag('noMoney');
+        },
+
+        getLoan: function() {
+            return GameApi.getLoan();
+        },
+
+        // Income so far this month; the last full month is kept once the month rolls over
+        updateIncome: function() {
+            var income = 0;
+            try {
+                for (var i = 0; i < INCOME_TYPES.length; i++) {
+                    income += Math.abs(GameApi.getMonthlyExpenditure(INCOME_TYPES[i]));
+                }
+            } catch (e) { return; }
+            var month = -1;
+            month = GameApi.getMonth();
+            if (this.trackedMonth !== -1 && month !== this.trackedMonth) {
+                this.lastMonthIncome = this.currentMonthIncome;
+            }
+            this.trackedMonth = month;
+            this.currentMonthIncome = income;
+        },
+
+        getMonthlyIncome: function() {
+            return Math.max(this.lastMonthIncome, this.currentMonthIncome);
+        },
+
+        countQueuedHires: function(staffType) {
+            var count = 0;
+            for (var i = 0; i < ActionQueue.queue.length; i++) {
+                var item = ActionQueue.queue[i];
+                if (item.action === 'staffhire' && (!staffType || item.staffType === staffType)) count++;
+            }
+            return count;
+        },
+
+        getMonthlyWages: function() {
+            var wages = StaffManager.handymen.length * STAFF_MONTHLY_WAGES.handyman +
+                        StaffManager.mechanics.length * STAFF_MONTHLY_WAGES.mechanic +
+                        StaffManager.security.length * STAFF_MONTHLY_WAGES.security +
+                        StaffManager.entertainers.length * STAFF_MONTHLY_WAGES.entertainer;
+            for (var type in STAFF_MONTHLY_WAGES) {
+                if (STAFF_MONTHLY_WAGES.hasOwnProperty(type)) wages += this.countQueuedHires(type) * STAFF_MONTHLY_WAGES[type];
+            }
+            return wages;
+        },
+
+        // Returns null when the hire is affordable, otherwise the reason it is not
+        checkHire: function(staffType) {
+            // Parks without money never pay wages
+            if (!CONFIG.budgetGovernorEnabled || !this.hasMoney()) return null;
+            var wages = this.getMonthlyWages() + (STAFF_MONTHLY_WAGES[staffType] || 0);
+            var cash = this.getCash();
+            // A month of wages for the whole roster must not take cash below the floor
+            if (cash - wages < CONFIG.budgetCashFloor) {
+                var loan = this.getLoan();
+                var loanNote = loan.max > 0 && loan.current >= loan.max ? ', loan maxed' : '';
+                return 'cash ' + formatMoney(cash) + ' - wages ' + formatMoney(wages) + ' below floor ' + formatMoney(CONFIG.budgetCashFloor) + loanNote;
+            }
+            var income = this.getMonthlyIncome();
+            if (income > 0) {
+                var ratio = wages / income;
+                if (ratio > CONFIG.budgetMaxWageRatio) {
+                    return 'wages ' + Math.round(ratio * 100) + '% of income > ' + Math.round(CONFIG.budgetMaxWageRatio * 100) + '%';
+                }
+            }
+            return null;
+        },
+
+        recordBlocked: function(staffType, reason) {
+            StaffManager.statistics.hiresBlocked++;
+            this.blockedHires.unshift({ tick: StaffManager.getGameTick(), staffType: staffType, reason: reason });
+            if (this.blockedHires.length > this.maxBlocked) this.blockedHires.pop();
+            if (CONFIG.debugMode) {
+                console.log('[Staff AI] Hire blocked: ' + staffType + ' (' + reason + ')');
+            }
+        },
+
+        getBlockedItems: function() {
+            var items = [];
+            for (var i = 0; i < this.blockedHires.length; i++) {
+                var entry = this.blockedHires[i];
+                items.push([String(entry.tick), entry.staffType, entry.reason]);
+            }
+            return items;
+        },
+
+        getSummary: function() {
+            var loan = this.getLoan();
+            return 'Cash ' + formatMoney(this.getCash()) + '  Loan ' + formatMoney(loan.current) + '/' + formatMoney(loan.max) +
+                   '  Income ' + formatMoney(this.getMonthlyIncome()) + '/mo  Wages ' + formatMoney(this.getMonthlyWages()) + '/mo';
         }
     };
 
+    function formatMoney(value) {
+        return '$' + Math.round((value || 0) / 10);
+    }
+
     // ============================================================
     // STAFF MANAGER
     // ============================================================
@@ -804,11 +2592,34 @@
         lastAnalysisUpdate: 0,
         lastAutoHireCheck: 0,
         lastAutoReanalyze: 0,
+        lastDirtyRefresh: 0,
         lastAutoGenZones: 0,
         lastEventCheck: 0,
+        lastStatisticsSave: 0,
         tickCounter: 0,
         zonesNeedRegeneration: true,
         lastStaffCount: 0,
+        surplusSince: {},
+        pendingFires: {},
+        workSnapshots: {},
+        performance: {},
+        lastPerformanceSample: 0,
+        energyStates: {},
+        ridesAwaitingMechanic: {},
+        lastSmartHire: {},
+        exitSweepers: {},
+        queueCrews: {},
+        mechanicRides: {},
+        patrolTargets: {},
+        staffZones: {},
+        pinnedStaff: {},
+        // Bumped whenever a zone or pin changes, so the overlay knows when to rebuild
+        zoneVersion: 0,
+        ordersPass: null,
+        zonePass: null,
+        zoneTrigger: null,
+        zonedLayoutVersion: 0,
+        queueCrewTarget: 0,
         statistics: {
             totalStaff: 0,
             handymenCount: 0,
@@ -816,10 +2627,15 @@
             securityCount: 0,
             entertainersCount: 0,
             staffHired: 0,
+            staffFired: 0,
             ordersChanged: 0,
             patrolZonesSet: 0,
             patrolZonesFailed: 0,
             dispatchesMade: 0,
+            breakdownsDetected: 0,
+            inspectionChanges: 0,
+            energyRotations: 0,
+            hiresBlocked: 0,
             lastFrameTime: 0,
             avgFrameTime: 0,
             autoReanalyzeCount: 0,
@@ -827,6 +2643,7 @@
             crimeDetected: 0,
             disgustComplaints: 0,
             newRidesDetected: 0,
+            ridesRemoved: 0,
             smartHires: { handymen: 0, mechanics: 0, security: 0, entertainers: 0 }
         },
 
@@ -836,7 +2653,7 @@
         },
 
         getGameTick: function() {
-            try { return date.ticksElapsed || 0; } catch (e) { return this.tickCounter; }
+            return GameApi.getTick();
         },
 
         updateStaffLists: function() {
@@ -846,16 +2663,17 @@
             this.security = [];
             this.entertainers = [];
             try {
-                var staff = map.getAllEntities('staff');
+                var staff = GameApi.getEntities('staff');
                 for (var i = 0; i < staff.length; i++) {
                     var member = staff[i];
-                    if (!member) continue;
+                    if (!member || this.pendingFires[member.id]) continue;
                     this.allStaff.push(member);
                     if (member.staffType === 'handyman') this.handymen.push(member);
                     else if (member.staffType === 'mechanic') this.mechanics.push(member);
                     else if (member.staffType === 'security') this.security.push(member);
                     else if (member.staffType === 'entertainer') this.entertainers.push(member);
                 }
+                this.prunePinnedStaff();
                 this.statistics.totalStaff = this.allStaff.length;
                 this.statistics.handymenCount = this.handymen.length;
                 this.statistics.mechanicsCount = this.mechanics.length;
@@ -875,41 +2693,35 @@
             if (!CONFIG.smartHiringEnabled || !CONFIG.autoHireEnabled) return;
             if (!NetworkHelper.canModifyGameState()) return;
 
-            // 1. Check for new rides -> hire mechanics
-            if (CONFIG.mechanicPerNewRide && RideTracker.checkForNewRides()) {
-                var newRides = RideTracker.getNewRides();
-                for (var i = 0; i < newRides.length; i++) {
-                    this.statistics.newRidesDetected++;
-                    if (CONFIG.mechanicAutoHire && this.mechanics.length < CONFIG.mechanicMaxCount) {
-                        this.hireStaff('mechanic');
-                        this.statistics.smartHires.mechanics++;
-                        if (CONFIG.debugMode) {
-                            console.log('[Staff AI] Smart hire: Mechanic for new ride');
-                        }
-                    }
-                }
-                this.zonesNeedRegeneration = true;
-            }
+            // New rides -> mechanics are hired in processRideChanges
 
-            // 2. Check crime level -> hire security
-            CrimeDetector.update();
+            // 1. Check crime rate -> hire security
             this.statistics.crimeDetected = CrimeDetector.getCrimeLevel();
-            if (CONFIG.securityAutoHire && CrimeDetector.needsMoreSecurity()) {
-                if (this.security.length < CONFIG.securityMaxCount) {
-                    this.hireStaff('security');
+            if (CONFIG.securityAutoHire && CrimeDetector.needsMoreSecurity() && this.canSmartHire('security')) {
+                if (this.security.length < CONFIG.securityMaxCount &&
+                        this.hireStaff('security', false, 'crime ' + CrimeDetector.getCrimeRate() + '/day >= threshold ' + CONFIG.securityCrimeThreshold + '/day')) {
+                    this.lastSmartHire.security = this.getGameTick();
                     this.statistics.smartHires.security++;
                     if (CONFIG.debugMode) {
-                        console.log('[Staff AI] Smart hire: Security for crime level ' + this.statistics.crimeDetected);
+                        console.log('[Staff AI] Smart hire: Security for crime rate ' + this.statistics.crimeDetected + '/day');
                     }
                 }
             }
 
-            // 3. Check guest disgust/litter feedback -> hire handymen
-            GuestFeedbackAnalyzer.update();
+            // Handymen and entertainers are checked once the guest scan started here has finished
+            Scheduler.start('guestFeedback');
+        },
+
+        checkGuestFeedbackHiring: function() {
+            if (!CONFIG.smartHiringEnabled || !CONFIG.autoHireEnabled) return;
+            if (!NetworkHelper.canModifyGameState()) return;
+
+            // 2. Check guest disgust/litter feedback -> hire handymen
             this.statistics.disgustComplaints = GuestFeedbackAnalyzer.disgustCount;
-            if (CONFIG.handymanAutoHire && GuestFeedbackAnalyzer.needsMoreHandymen()) {
-                if (this.handymen.length < CONFIG.handymanMaxCount) {
-                    this.hireStaff('handyman');
+            if (CONFIG.handymanAutoHire && GuestFeedbackAnalyzer.needsMoreHandymen() && this.canSmartHire('handyman')) {
+                if (this.handymen.length < CONFIG.handymanMaxCount &&
+                        this.hireStaff('handyman', false, GuestFeedbackAnalyzer.getHandymanTrigger())) {
+                    this.lastSmartHire.handyman = this.getGameTick();
                     this.statistics.smartHires.handymen++;
                     if (CONFIG.debugMode) {
                         console.log('[Staff AI] Smart hire: Handyman for disgust complaints ' + this.statistics.disgustComplaints);
@@ -917,10 +2729,11 @@
                 }
             }
 
-            // 4. Check happiness below 60% -> hire entertainers
-            if (CONFIG.entertainerAutoHire && GuestFeedbackAnalyzer.needsMoreEntertainers()) {
-                if (this.entertainers.length < CONFIG.entertainerMaxCount) {
-                    this.hireStaff('entertainer');
+            // 3. Check happiness below 60% -> hire entertainers
+            if (CONFIG.entertainerAutoHire && GuestFeedbackAnalyzer.needsMoreEntertainers() && this.canSmartHire('entertainer')) {
+                if (this.entertainers.length < CONFIG.entertainerMaxCount &&
+                        this.hireStaff('entertainer', false, 'happiness ' + GuestFeedbackAnalyzer.happinessPercent + '% < threshold ' + CONFIG.entertainerHappinessThreshold + '%')) {
+                    this.lastSmartHire.entertainer = this.getGameTick();
                     this.statistics.smartHires.entertainers++;
                     if (CONFIG.debugMode) {
                         console.log('[Staff AI] Smart hire: Entertainer for low happiness ' + GuestFeedbackAnalyzer.happinessPercent + '%');
@@ -929,331 +2742,1995 @@
             }
         },
 
-        checkAutoHire: function() {
-            if (!CONFIG.autoHireEnabled) return;
-            if (!NetworkHelper.canModifyGameState()) return;
-            try {
-                var guestCount = this.statistics.totalStaff > 0 ? ParkAnalyzer.totalGuests : map.getAllEntities('guest').length;
-                
-                if (CONFIG.handymanAutoHire) {
-                    var targetHandymen = Math.max(CONFIG.handymanMinCount, Math.min(CONFIG.handymanMaxCount, Math.ceil(guestCount * CONFIG.handymanTargetRatio)));
-                    if (this.handymen.length < targetHandymen) {
-                        this.hireStaff('handyman');
-                    }
+        // Complaints and crime stay above their thresholds until a new hire has had time to
+        // make a difference, so each type waits autoHireDelay ticks between smart hires
+        canSmartHire: function(staffType) {
+            var last = this.lastSmartHire[staffType];
+            var gameTick = this.getGameTick();
+            return last === undefined || gameTick < last || gameTick - last >= CONFIG.autoHireDelay;
+        },
+
+        processRideChanges: function() {
+            var changes = RideTracker.reconcile();
+            if (changes.added.length > 0 || changes.removed.length > 0 || changes.moved.length > 0) {
+                this.statistics.newRidesDetected += changes.added.length;
+                this.statistics.ridesRemoved += changes.removed.length;
+                for (var i = 0; i < changes.added.length; i++) {
+                    this.ridesAwaitingMechanic[changes.added[i]] = true;
                 }
-                if (CONFIG.mechanicAutoHire) {
-                    var targetMechanics = Math.max(CONFIG.mechanicMinCount, Math.min(CONFIG.mechanicMaxCount, Math.ceil(ParkAnalyzer.totalRides * CONFIG.mechanicTargetRatio)));
-                    if (this.mechanics.length < targetMechanics) {
-                        this.hireStaff('mechanic');
-                    }
+                for (var r = 0; r < changes.removed.length; r++) {
+                    BreakdownWatcher.forgetRide(changes.removed[r]);
+                    ParkAnalyzer.markRideDirty(changes.removed[r]);
+                    delete this.ridesAwaitingMechanic[changes.removed[r]];
                 }
-                if (CONFIG.securityAutoHire) {
-                    var targetSecurity = Math.max(CONFIG.securityMinCount, Math.min(CONFIG.securityMaxCount, Math.ceil(guestCount * CONFIG.securityTargetRatio)));
-                    if (this.security.length < targetSecurity) {
-                        this.hireStaff('security');
-                    }
+                for (var m = 0; m < changes.moved.length; m++) {
+                    ParkAnalyzer.markRideDirty(changes.moved[m]);
                 }
-                if (CONFIG.entertainerAutoHire) {
-                    var targetEntertainers = Math.max(CONFIG.entertainerMinCount, Math.min(CONFIG.entertainerMaxCount, Math.ceil(guestCount * CONFIG.entertainerTargetRatio)));
-                    if (this.entertainers.length < targetEntertainers) {
-                        this.hireStaff('entertainer');
+                this.zonesNeedRegeneration = true;
+            }
+            this.hireForReadyRides();
+        },
+
+        // A ride's construction window creates it long before it can break down, so its
+        // mechanic is hired once it gets a station or opens
+        hireForReadyRides: function() {
+            var ready = [];
+            for (var rideId in this.ridesAwaitingMechanic) {
+                if (this.ridesAwaitingMechanic.hasOwnProperty(rideId) && RideTracker.isRideReady(rideId)) ready.push(rideId);
+            }
+            for (var i = 0; i < ready.length; i++) delete this.ridesAwaitingMechanic[ready[i]];
+
+            if (!CONFIG.smartHiringEnabled || !CONFIG.autoHireEnabled || !CONFIG.mechanicPerNewRide) return;
+            if (!NetworkHelper.canModifyGameState()) return;
+            for (var j = 0; j < ready.length; j++) {
+                if (CONFIG.mechanicAutoHire && this.mechanics.length < CONFIG.mechanicMaxCount &&
+                        this.hireStaff('mechanic', false, 'new ride #' + ready[j])) {
+                    this.statistics.smartHires.mechanics++;
+                    if (CONFIG.debugMode) {
+                        console.log('[Staff AI] Smart hire: Mechanic for new ride');
                     }
                 }
-            } catch (e) {}
+            }
         },
 
-        hireStaff: function(staffType) {
-            if (!NetworkHelper.canModifyGameState()) return;
-            var staffTypeNum = 0;
-            var orders = 0;
+        getStaffList: function(staffType) {
+            if (staffType === 'handyman') return this.handymen;
+            if (staffType === 'mechanic') return this.mechanics;
+            if (staffType === 'security') return this.security;
+            if (staffType === 'entertainer') return this.entertainers;
+            return [];
+        },
+
+        getGuestCount: function() {
+            try {
+                return this.statistics.totalStaff > 0 ? ParkAnalyzer.totalGuests : GameApi.getEntities('guest').length;
+            } catch (e) { return ParkAnalyzer.totalGuests; }
+        },
+
+        getTargetCount: function(staffType, guestCount) {
             if (staffType === 'handyman') {
-                staffTypeNum = 0;
-                if (CONFIG.handymanSweepEnabled) orders |= HANDYMAN_ORDERS.SWEEPING;
-                if (CONFIG.handymanWaterEnabled) orders |= HANDYMAN_ORDERS.WATERING;
-                if (CONFIG.handymanEmptyBinsEnabled) orders |= HANDYMAN_ORDERS.EMPTY_BINS;
-                if (CONFIG.handymanMowEnabled) orders |= HANDYMAN_ORDERS.MOWING;
+                return Math.max(CONFIG.handymanMinCount, Math.min(CONFIG.handymanMaxCount, Math.ceil(guestCount * CONFIG.handymanTargetRatio)));
             } else if (staffType === 'mechanic') {
-                staffTypeNum = 1;
-                orders = MECHANIC_ORDERS.INSPECT | MECHANIC_ORDERS.FIX;
+                // Tracked rides drop as soon as a ride is demolished, so surplus mechanics can be let go
+                return Math.max(CONFIG.mechanicMinCount, Math.min(CONFIG.mechanicMaxCount, Math.ceil(RideTracker.getKnownRideCount() * CONFIG.mechanicTargetRatio)));
             } else if (staffType === 'security') {
-                staffTypeNum = 2;
+                return Math.max(CONFIG.securityMinCount, Math.min(CONFIG.securityMaxCount, Math.ceil(guestCount * CONFIG.securityTargetRatio)));
             } else if (staffType === 'entertainer') {
-                staffTypeNum = 3;
+                return Math.max(CONFIG.entertainerMinCount, Math.min(CONFIG.entertainerMaxCount, Math.ceil(guestCount * CONFIG.entertainerTargetRatio)));
             }
-            var entertainerType = staffType === 'entertainer' ? DeterministicRandom.randomInt(0, 6, this.getGameTick()) : 0;
-            var args = {
-                autoPosition: true,
-                staffType: staffTypeNum,
-                entertainerType: entertainerType,
-                staffOrders: orders
-            };
-            var self = this;
-            ActionQueue.add('staffhire', args, function(result) {
-                if (result.error === 0) {
-                    self.statistics.staffHired++;
-                    self.zonesNeedRegeneration = true;
-                }
-            });
+            return 0;
         },
 
-        setStaffPatrolArea: function(staffId, x1, y1, x2, y2, mode) {
+        getTargetTrigger: function(staffType, guestCount) {
+            return staffType + ' count ' + this.getStaffList(staffType).length + ' < target ' + this.getTargetCount(staffType, guestCount) +
+                   (staffType === 'mechanic' ? ' for ' + RideTracker.getKnownRideCount() + ' rides' : ' for ' + guestCount + ' guests');
+        },
+
+        checkAutoHire: function() {
+            if (!CONFIG.autoHireEnabled) return;
             if (!NetworkHelper.canModifyGameState()) return;
-            if (typeof staffId !== 'number' || staffId < 0) return;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
-            x1 = Math.max(0, Math.min(Math.floor(x1), mapWidth - 1));
-            y1 = Math.max(0, Math.min(Math.floor(y1), mapHeight - 1));
-            x2 = Math.max(x1, Math.min(Math.floor(x2), mapWidth - 1));
-            y2 = Math.max(y1, Math.min(Math.floor(y2), mapHeight - 1));
-            var args = { id: staffId, x1: x1 * 32, y1: y1 * 32, x2: x2 * 32, y2: y2 * 32, mode: mode };
-            var self = this;
-            ActionQueue.add('staffsetpatrolarea', args, function(result) {
-                if (result.error === 0) self.statistics.patrolZonesSet++;
-                else self.statistics.patrolZonesFailed++;
-            });
+            try {
+                var guestCount = this.getGuestCount();
+                
+                if (CONFIG.handymanAutoHire && this.handymen.length < this.getTargetCount('handyman', guestCount)) {
+                    this.hireStaff('handyman', false, this.getTargetTrigger('handyman', guestCount));
+                }
+                if (CONFIG.mechanicAutoHire && this.mechanics.length < this.getTargetCount('mechanic', guestCount)) {
+                    this.hireStaff('mechanic', false, this.getTargetTrigger('mechanic', guestCount));
+                }
+                if (CONFIG.securityAutoHire && this.security.length < this.getTargetCount('security', guestCount)) {
+                    this.hireStaff('security', false, this.getTargetTrigger('security', guestCount));
+                }
+                if (CONFIG.entertainerAutoHire && this.entertainers.length < this.getTargetCount('entertainer', guestCount)) {
+                    this.hireStaff('entertainer', false, this.getTargetTrigger('entertainer', guestCount));
+                }
+            } catch (e) {}
         },
 
-        generatePatrolZones: function() {
+        // ============================================================
+        // AUTO-FIRE - Downsize surplus staff after a grace period
+        // ============================================================
+        checkAutoFire: function() {
+            if (!CONFIG.autoFireEnabled) return;
             if (!NetworkHelper.canModifyGameState()) return;
-            if (!ParkAnalyzer.isAnalyzed) return;
-            this.updateStaffLists();
-            if (this.allStaff.length === 0) return;
+            var gameTick = this.getGameTick();
+            var guestCount = this.getGuestCount();
+            for (var i = 0; i < STAFF_TYPES.length; i++) {
+                var staffType = STAFF_TYPES[i];
+                var list = this.getStaffList(staffType);
+                var target = this.getTargetCount(staffType, guestCount);
 
-            // Clear existing zones
-            for (var i = 0; i < this.allStaff.length; i++) {
-                var staff = this.allStaff[i];
-                if (staff && typeof staff.id === 'number') {
-                    this.setStaffPatrolArea(staff.id, 0, 0, 0, 0, 2);
+                // Types hired by hand are left alone, as are types the event detectors still want more of
+                if (!CONFIG[staffType + 'AutoHire'] || list.length <= target || this.isStaffTypeInDemand(staffType)) {
+                    delete this.surplusSince[staffType];
+                    continue;
+                }
+                if (typeof this.surplusSince[staffType] !== 'number') {
+                    this.surplusSince[staffType] = gameTick;
+                    continue;
+                }
+                if (gameTick - this.surplusSince[staffType] < CONFIG.autoFireGracePeriod) continue;
+
+                var candidate = this.selectStaffToFire(staffType, list);
+                if (candidate) {
+                    var score = this.getScore(candidate.id);
+                    this.fireStaff(candidate, staffType + ' count ' + list.length + ' > target ' + target + ' for ' + (gameTick - this.surplusSince[staffType]) + ' ticks' +
+                        (score !== null ? ', score ' + score : ''));
+                    if (CONFIG.debugMode) {
+                        console.log('[Staff AI] Auto-fire: ' + staffType + ' ' + candidate.id + ' (' + list.length + ' > target ' + target + ')');
+                    }
                 }
             }
+        },
 
-            this.generateHandymanPatrolZones();
-            this.generateMechanicPatrolZones();
-            this.generateSecurityPatrolZones();
-            this.generateEntertainerPatrolZones();
-            this.zonesNeedRegeneration = false;
+        isStaffTypeInDemand: function(staffType) {
+            if (staffType === 'handyman') return GuestFeedbackAnalyzer.needsMoreHandymen();
+            if (staffType === 'security') return CrimeDetector.needsMoreSecurity();
+            if (staffType === 'entertainer') return GuestFeedbackAnalyzer.needsMoreEntertainers();
+            return false;
         },
 
-        generateHandymanPatrolZones: function() {
-            if (this.handymen.length === 0) return;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
-            var zoneSize = CONFIG.patrolZoneSize;
-            var zonesX = Math.ceil(mapWidth / zoneSize);
-            var totalZones = zonesX * Math.ceil(mapHeight / zoneSize);
+        getWorkCounter: function(member) {
+            var total = 0;
+            var fields = ['litterSwept', 'binsEmptied', 'gardensWatered', 'lawnsMown', 'ridesFixed', 'ridesInspected', 'vandalsStopped'];
+            for (var i = 0; i < fields.length; i++) {
+                if (typeof member[fields[i]] === 'number') total += member[fields[i]];
+            }
+            return total;
+        },
 
-            for (var i = 0; i < this.handymen.length; i++) {
-                var handyman = this.handymen[i];
-                if (!handyman || typeof handyman.id !== 'number') continue;
-                var zoneIndex = i % totalZones;
-                var zx = zoneIndex % zonesX;
-                var zy = Math.floor(zoneIndex / zonesX);
-                this.setStaffPatrolArea(handyman.id, zx * zoneSize, zy * zoneSize, 
-                    Math.min((zx + 1) * zoneSize + CONFIG.patrolZoneOverlap, mapWidth - 1),
-                    Math.min((zy + 1) * zoneSize + CONFIG.patrolZoneOverlap, mapHeight - 1), 0);
+        // Record when each staff member's work counters last moved
+        updateWorkSnapshots: function() {
+            var gameTick = this.getGameTick();
+            var seen = {};
+            for (var i = 0; i < this.allStaff.length; i++) {
+                var member = this.allStaff[i];
+                if (!member || typeof member.id !== 'number') continue;
+                seen[member.id] = true;
+                var work = this.getWorkCounter(member);
+                var snapshot = this.workSnapshots[member.id];
+                if (!snapshot || snapshot.work !== work) {
+                    this.workSnapshots[member.id] = { work: work, changedAt: gameTick };
+                }
+            }
+            for (var id in this.workSnapshots) {
+                if (this.workSnapshots.hasOwnProperty(id) && !seen[id]) delete this.workSnapshots[id];
             }
         },
 
-        generateMechanicPatrolZones: function() {
-            if (this.mechanics.length === 0) return;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
+        // Snapshots each member's counters and turns the window into a work-per-day rate
+        samplePerformance: function() {
+            var gameTick = this.getGameTick();
+            var seen = {};
+            for (var i = 0; i < this.allStaff.length; i++) {
+                var member = this.allStaff[i];
+                if (!member || typeof member.id !== 'number') continue;
+                var fields = STAFF_WORK_COUNTERS[member.staffType];
+                if (!fields || fields.length === 0) continue;
+                seen[member.id] = true;
+                var counters = {};
+                var work = 0;
+                for (var f = 0; f < fields.length; f++) {
+                    counters[fields[f]] = typeof member[fields[f]] === 'number' ? member[fields[f]] : 0;
+                    work += counters[fields[f]];
+                }
+                var record = this.performance[member.id];
+                if (!record) record = this.performance[member.id] = { staffType: member.staffType, samples: [], rate: 0, rates: {}, score: null, role: '', zone: '' };
+                record.samples.push({ tick: gameTick, work: work, counters: counters });
+                if (record.samples.length > PERFORMANCE_WINDOW) record.samples.shift();
+                record.role = this.getStaffRole(member.id);
+                record.zone = this.staffZones[member.id] || '';
 
-            // Use ride tracker for better zone coverage
-            var rideIds = Object.keys(RideTracker.knownRides);
+                var first = record.samples[0];
+                var days = (gameTick - first.tick) / TICKS_PER_DAY;
+                record.rate = days > 0 ? (work - first.work) / days : 0;
+                record.rates = {};
+                for (var field in counters) {
+                    if (counters.hasOwnProperty(field) && days > 0) record.rates[field] = (counters[field] - first.counters[field]) / days;
+                }
+            }
+            for (var id in this.performance) {
+                if (this.performance.hasOwnProperty(id) && !seen[id]) delete this.performance[id];
+            }
+            this.scorePerformance();
+        },
+
+        getStaffRole: function(staffId) {
+            if (this.exitSweepers[staffId] !== undefined) return 'exit';
+            if (this.queueCrews[staffId] !== undefined) return 'queue';
+            return 'patrol';
+        },
+
+        // 100 is the median rate of staff of the same type sharing the zone; staff alone in their zone
+        // are compared with the same type and role instead. Members with one sample are not scored yet
+        scorePerformance: function() {
+            var zones = {}, roles = {};
+            var id, record;
+            for (id in this.performance) {
+                if (!this.performance.hasOwnProperty(id)) continue;
+                record = this.performance[id];
+                record.score = null;
+                if (record.samples.length < 2) continue;
+                if (record.zone) {
+                    var zoneKey = record.staffType + ':' + record.zone;
+                    (zones[zoneKey] = zones[zoneKey] || []).push(record);
+                }
+                var roleKey = record.staffType + ':' + record.role;
+                (roles[roleKey] = roles[roleKey] || []).push(record);
+            }
+            var zoneMedians = {}, roleMedians = {};
+            var key;
+            for (key in zones) {
+                if (zones.hasOwnProperty(key) && zones[key].length >= 2) zoneMedians[key] = this.getMedianRate(zones[key]);
+            }
+            for (key in roles) {
+                if (roles.hasOwnProperty(key)) roleMedians[key] = this.getMedianRate(roles[key]);
+            }
+            for (id in this.performance) {
+                if (!this.performance.hasOwnProperty(id)) continue;
+                record = this.performance[id];
+                if (record.samples.length < 2) continue;
+                var zoneKey2 = record.staffType + ':' + record.zone;
+                var median = record.zone && zoneMedians.hasOwnProperty(zoneKey2) ? zoneMedians[zoneKey2] : roleMedians[record.staffType + ':' + record.role];
+                if (median > 0) record.score = Math.round(Math.min(record.rate / median, 3) * 100);
+                else record.score = record.rate > 0 ? 300 : 100;
+            }
+        },
+
+        getMedianRate: function(records) {
+            var rates = records.map(function(r) { return r.rate; }).sort(function(a, b) { return a - b; });
+            return rates[Math.floor(rates.length / 2)];
+        },
+
+        getScore: function(staffId) {
+            var record = this.performance[staffId];
+            return record && record.score !== null ? record.score : null;
+        },
+
+        // A full window with no work at all, or well below peers
+        getPerformanceStatus: function(staffId) {
+            var record = this.performance[staffId];
+            if (!record || record.score === null) return 'new';
+            if (record.samples.length >= PERFORMANCE_WINDOW && record.rate === 0) return 'idle';
+            if (record.score < LOW_SCORE) return 'low';
+            return 'ok';
+        },
+
+        getPerformanceSummary: function() {
+            var summary = { scored: 0, idle: 0, low: 0, worst: null };
+            for (var id in this.performance) {
+                if (!this.performance.hasOwnProperty(id)) continue;
+                var status = this.getPerformanceStatus(parseInt(id, 10));
+                if (status === 'new') continue;
+                summary.scored++;
+                if (status === 'idle') summary.idle++;
+                if (status === 'low') summary.low++;
+                var record = this.performance[id];
+                if (!summary.worst || record.score < summary.worst.score) {
+                    summary.worst = { id: parseInt(id, 10), staffType: record.staffType, score: record.score };
+                }
+            }
+            return summary;
+        },
+
+        getHotspotsForType: function(staffType) {
+            if (staffType === 'handyman') return ParkAnalyzer.getLitterHotspots(10);
+            if (staffType === 'security') return CrimeDetector.getCrimeHotspots(5).concat(ParkAnalyzer.getGuestHotspots(5));
+            if (staffType === 'entertainer') return ParkAnalyzer.getGuestHotspots(10);
+            var points = [];
+            for (var rideId in RideTracker.rideEntrances) {
+                if (RideTracker.rideEntrances.hasOwnProperty(rideId)) {
+                    points = points.concat(RideTracker.rideEntrances[rideId], RideTracker.rideExits[rideId] || []);
+                }
+            }
+            return points;
+        },
+
+        getDistanceToNearest: function(member, points) {
+            if (typeof member.x !== 'number' || points.length === 0) return 0;
+            var tx = Math.floor(member.x / 32);
+            var ty = Math.floor(member.y / 32);
+            var best = Infinity;
+            for (var i = 0; i < points.length; i++) {
+                var d = Math.abs(points[i].x - tx) + Math.abs(points[i].y - ty);
+                if (d < best) best = d;
+            }
+            return best;
+        },
+
+        // Least useful first: lowest score against peers, then longest idle, then furthest from work, then lowest counters
+        selectStaffToFire: function(staffType, list) {
+            var gameTick = this.getGameTick();
+            var hotspots = this.getHotspotsForType(staffType);
+            var candidates = [];
+            for (var i = 0; i < list.length; i++) {
+                var member = list[i];
+                if (!member || typeof member.id !== 'number' || this.hasZoneOverride(member.id)) continue;
+                var snapshot = this.workSnapshots[member.id];
+                var score = this.getScore(member.id);
+                candidates.push({
+                    member: member,
+                    // Unscored staff are too new to judge, so they count as average
+                    score: score === null ? 100 : score,
+                    idle: snapshot ? gameTick - snapshot.changedAt : 0,
+                    distance: this.getDistanceToNearest(member, hotspots),
+                    work: this.getWorkCounter(member)
+                });
+            }
+            candidates.sort(function(a, b) {
+                if (a.score !== b.score) return a.score - b.score;
+                if (a.idle !== b.idle) return b.idle - a.idle;
+                if (a.distance !== b.distance) return b.distance - a.distance;
+                return a.work - b.work;
+            });
+            return candidates.length > 0 ? candidates[0].member : null;
+        },
+
+        fireStaff: function(member, trigger) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            if (!member || typeof member.id !== 'number') return;
+            var staffId = member.id;
+            var self = this;
+            var entry = DecisionLog.start('fire', staffId, member.staffType, trigger);
+            DecisionLog.expect(entry);
+            this.pendingFires[staffId] = true;
+            ActionQueue.add('stafffire', { id: staffId }, function(result) {
+                delete self.pendingFires[staffId];
+                DecisionLog.complete(entry, result);
+                if (result.error === 0) {
+                    delete self.staffAssignments[staffId];
+                    self.statistics.staffFired++;
+                    self.zonesNeedRegeneration = true;
+                }
+            });
+        },
+
+        // Automated hires must pass the budget governor; manual hires from the UI pass force
+        hireStaff: function(staffType, force, trigger) {
+            if (!NetworkHelper.canModifyGameState()) return false;
+            trigger = trigger || (force ? 'manual hire' : 'automatic hire');
+            if (!force) {
+                var blockedReason = BudgetGovernor.checkHire(staffType);
+                if (blockedReason) {
+                    BudgetGovernor.recordBlocked(staffType, blockedReason);
+                    DecisionLog.record('hire', null, staffType, trigger, 'blocked - ' + blockedReason);
+                    return false;
+                }
+            }
+            var entry = DecisionLog.start('hire', null, staffType, trigger);
+            var staffTypeNum = 0;
+            var orders = 0;
+            if (staffType === 'handyman') {
+                staffTypeNum = 0;
+                if (CONFIG.handymanSweepEnabled) orders |= HANDYMAN_ORDERS.SWEEPING;
+                if (CONFIG.handymanWaterEnabled) orders |= HANDYMAN_ORDERS.WATERING;
+                if (CONFIG.handymanEmptyBinsEnabled) orders |= HANDYMAN_ORDERS.EMPTY_BINS;
+                if (CONFIG.handymanMowEnabled) orders |= HANDYMAN_ORDERS.MOWING;
+            } else if (staffType === 'mechanic') {
+                staffTypeNum = 1;
+                orders = MECHANIC_ORDERS.INSPECT | MECHANIC_ORDERS.FIX;
+            } else if (staffType === 'security') {
+                staffTypeNum = 2;
+            } else if (staffType === 'entertainer') {
+                staffTypeNum = 3;
+            }
+            var entertainerType = staffType === 'entertainer' ? DeterministicRandom.randomInt(0, 6, this.getGameTick()) : 0;
+            var args = {
+                autoPosition: true,
+                staffType: staffTypeNum,
+                entertainerType: entertainerType,
+                staffOrders: orders
+            };
+            var self = this;
+            DecisionLog.expect(entry);
+            ActionQueue.add('staffhire', args, function(result) {
+                if (result.error === 0) {
+                    self.statistics.staffHired++;
+                    self.zonesNeedRegeneration = true;
+                    if (typeof result.peep === 'number') entry.staffId = result.peep;
+                }
+                DecisionLog.complete(entry, result);
+            }, staffType);
+            return true;
+        },
+
+        setStaffPatrolArea: function(staffId, x1, y1, x2, y2, mode, entry) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            if (typeof staffId !== 'number' || staffId < 0) return;
+            var mapSize = GameApi.getMapSize();
+            var mapWidth = mapSize.x, mapHeight = mapSize.y;
+            x1 = Math.max(0, Math.min(Math.floor(x1), mapWidth - 1));
+            y1 = Math.max(0, Math.min(Math.floor(y1), mapHeight - 1));
+            x2 = Math.max(x1, Math.min(Math.floor(x2), mapWidth - 1));
+            y2 = Math.max(y1, Math.min(Math.floor(y2), mapHeight - 1));
+            var args = { id: staffId, x1: x1 * 32, y1: y1 * 32, x2: x2 * 32, y2: y2 * 32, mode: mode };
+            var self = this;
+            DecisionLog.expect(entry);
+            ActionQueue.add('staffsetpatrolarea', args, function(result) {
+                if (result.error === 0) self.statistics.patrolZonesSet++;
+                else self.statistics.patrolZonesFailed++;
+                DecisionLog.complete(entry, result);
+            }, null, staffId);
+        },
+
+        // Zones being generated go into the pass, so dispatches and restores keep using
+        // the current zones until the pass commits
+        getZoneList: function(staffId) {
+            if (!this.zonePass) return this.getAssignment(staffId).zones;
+            if (!this.zonePass.zones[staffId]) this.zonePass.zones[staffId] = [];
+            return this.zonePass.zones[staffId];
+        },
+
+        // Records part of a staff member's normal zone; commitPatrolZones applies it
+        assignPatrolZone: function(staffId, x1, y1, x2, y2) {
+            this.getZoneList(staffId).push({ x1: x1, y1: y1, x2: x2, y2: y2 });
+        },
+
+        // Records an exact tile set as the staff member's zone, as a few block-aligned rectangles
+        assignPatrolShape: function(staffId, tiles, padding) {
+            var zones = this.getZoneList(staffId);
+            zones.push.apply(zones, PatrolShapeBuilder.build(tiles, padding));
+        },
+
+        // Changes after this point (new hires, ride changes) flag another regeneration
+        beginPatrolZones: function() {
+            this.updateStaffLists();
+            this.zonePass = { trigger: this.zoneTrigger || 'zone regeneration', staff: this.allStaff.slice(), phase: 0, index: 0, zones: {} };
+            this.patrolTargets = {};
+            this.staffZones = {};
+            this.zonesNeedRegeneration = false;
+        },
+
+        // One staff type per step, then the zones are applied to maxStaffPerTick staff per step
+        patrolZonesStep: function() {
+            if (!this.zonePass) this.beginPatrolZones();
+            var pass = this.zonePass;
+            if (pass.phase < PATROL_ZONE_PHASES.length) {
+                if (pass.staff.length > 0) this[PATROL_ZONE_PHASES[pass.phase]]();
+                pass.phase++;
+                return false;
+            }
+            if (!this.commitPatrolZones(pass)) return false;
+            this.zonePass = null;
+            return true;
+        },
+
+        commitPatrolZones: function(pass) {
+            this.zoneVersion++;
+            var end = Math.min(pass.staff.length, pass.index + CONFIG.maxStaffPerTick);
+            for (; pass.index < end; pass.index++) {
+                var staff = pass.staff[pass.index];
+                // Staff fired since the pass began are skipped
+                if (!staff || typeof staff.id !== 'number' || !this.findStaff(staff.id)) continue;
+                var assignment = this.getAssignment(staff.id);
+                assignment.zones = pass.zones[staff.id] || [];
+                if (!this.hasZoneOverride(staff.id)) this.applyZones(staff.id, assignment.zones, pass.trigger);
+            }
+            return pass.index >= pass.staff.length;
+        },
+
+        // Moves the in-game patrol area to `zones` using set/unset of only the blocks that change
+        // `entry` logs the actions under an existing decision (e.g. a dispatch) instead of a new zone entry
+        applyZones: function(staffId, zones, trigger, entry) {
+            var assignment = this.getAssignment(staffId);
+            var target = PatrolShapeBuilder.getBlocksForRects(zones);
+            var ops = [];
+            var i, rects;
+            if (!assignment.applied) {
+                ops.push({ x1: 0, y1: 0, x2: 0, y2: 0, mode: 2 });
+                rects = PatrolShapeBuilder.coverBlocks(target);
+                for (i = 0; i < rects.length; i++) ops.push({ x1: rects[i].x1, y1: rects[i].y1, x2: rects[i].x2, y2: rects[i].y2, mode: 0 });
+            } else {
+                rects = PatrolShapeBuilder.coverBlocks(PatrolShapeBuilder.difference(assignment.applied, target));
+                for (i = 0; i < rects.length; i++) ops.push({ x1: rects[i].x1, y1: rects[i].y1, x2: rects[i].x2, y2: rects[i].y2, mode: 1 });
+                rects = PatrolShapeBuilder.coverBlocks(PatrolShapeBuilder.difference(target, assignment.applied));
+                for (i = 0; i < rects.length; i++) ops.push({ x1: rects[i].x1, y1: rects[i].y1, x2: rects[i].x2, y2: rects[i].y2, mode: 0 });
+            }
+            assignment.applied = target;
+            if (ops.length === 0) {
+                DecisionLog.finish(entry, 'ok');
+                return;
+            }
+            this.zoneVersion++;
+
+            if (!entry) {
+                var member = this.findStaff(staffId);
+                entry = DecisionLog.start('zone', staffId, member ? member.staffType : '', (trigger || 'zone change') + ' (' + Object.keys(target).length + ' blocks)');
+            }
+            for (i = 0; i < ops.length; i++) {
+                this.setStaffPatrolArea(staffId, ops[i].x1, ops[i].y1, ops[i].x2, ops[i].y2, ops[i].mode, entry);
+            }
+        },
+
+        findStaff: function(staffId) {
+            for (var i = 0; i < this.allStaff.length; i++) {
+                if (this.allStaff[i] && this.allStaff[i].id === staffId) return this.allStaff[i];
+            }
+            return null;
+        },
+
+        getAssignment: function(staffId) {
+            if (!this.staffAssignments[staffId]) {
+                this.staffAssignments[staffId] = { zones: [], override: null, applied: null };
+                if (this.isPinned(staffId)) this.staffAssignments[staffId].override = { reason: 'pinned', zones: this.pinnedStaff[staffId].zones };
+            }
+            return this.staffAssignments[staffId];
+        },
+
+        hasGeneratedZone: function(staffId) {
+            var assignment = this.staffAssignments[staffId];
+            return !!(assignment && assignment.zones.length > 0);
+        },
+
+        hasZoneOverride: function(staffId) {
+            if (this.isPinned(staffId)) return true;
+            var assignment = this.staffAssignments[staffId];
+            return !!(assignment && assignment.override);
+        },
+
+        getZoneOverrideReason: function(staffId) {
+            if (this.isPinned(staffId)) return 'pinned';
+            var assignment = this.staffAssignments[staffId];
+            return assignment && assignment.override ? assignment.override.reason : null;
+        },
+
+        getNormalZones: function(staffId) {
+            var assignment = this.staffAssignments[staffId];
+            return assignment ? assignment.zones.slice() : [];
+        },
+
+        // Temporarily replaces a staff member's zone; restorePatrolZone puts the normal one back
+        overridePatrolZone: function(staffId, reason, x1, y1, x2, y2, entry) {
+            this.overridePatrolZones(staffId, reason, [{ x1: x1, y1: y1, x2: x2, y2: y2 }], entry);
+        },
+
+        overridePatrolZones: function(staffId, reason, zones, entry) {
+            if (this.isPinned(staffId)) {
+                DecisionLog.finish(entry, 'skipped - pinned');
+                return;
+            }
+            var assignment = this.getAssignment(staffId);
+            assignment.override = { reason: reason, zones: zones };
+            this.applyZones(staffId, zones, 'override: ' + reason, entry);
+        },
+
+        restorePatrolZone: function(staffId) {
+            var assignment = this.staffAssignments[staffId];
+            if (!assignment || !assignment.override || this.isPinned(staffId)) return;
+            var reason = assignment.override.reason;
+            assignment.override = null;
+            this.applyZones(staffId, assignment.zones, 'restore after ' + reason);
+        },
+
+        // ============================================================
+        // PINNED STAFF - Manually managed; their zone is a permanent override
+        // ============================================================
+        isPinned: function(staffId) {
+            return this.pinnedStaff.hasOwnProperty(staffId);
+        },
+
+        getManagedStaff: function(list) {
+            var self = this;
+            return list.filter(function(member) { return member && !self.isPinned(member.id); });
+        },
+
+        // Locks the staff member's normal zone, never a temporary dispatch or energy zone; painting a zone replaces it
+        // With an `entry` the caller's decision covers the pin, so none is logged here
+        pinStaff: function(staffId, trigger, entry) {
+            if (this.isPinned(staffId)) return;
+            this.releaseEnergyState(staffId);
+            BreakdownWatcher.forgetMechanic(staffId);
+            LitterDispatcher.forgetHandyman(staffId);
+            var assignment = this.getAssignment(staffId);
+            if (assignment.override && NetworkHelper.canModifyGameState()) this.restorePatrolZone(staffId);
+            var zones = assignment.zones.slice();
+            this.pinnedStaff[staffId] = { zones: zones };
+            assignment.override = { reason: 'pinned', zones: zones };
+            this.zonesNeedRegeneration = true;
+            this.zoneVersion++;
+            if (entry) return;
+            var member = this.findStaff(staffId);
+            DecisionLog.finish(DecisionLog.start('zone', staffId, member ? member.staffType : '', trigger || 'pinned'), 'ok');
+        },
+
+        unpinStaff: function(staffId, trigger) {
+            if (!this.isPinned(staffId)) return;
+            delete this.pinnedStaff[staffId];
+            this.getAssignment(staffId).override = null;
+            this.zonesNeedRegeneration = true;
+            this.zoneVersion++;
+            var member = this.findStaff(staffId);
+            DecisionLog.finish(DecisionLog.start('zone', staffId, member ? member.staffType : '', trigger || 'unpinned'), 'ok');
+        },
+
+        // An empty zone list clears the area, leaving the staff member free to roam
+        setLockedZone: function(staffId, zones, trigger) {
+            var member = this.findStaff(staffId);
+            var entry = DecisionLog.start('zone', staffId, member ? member.staffType : '', trigger || 'locked zone');
+            this.pinStaff(staffId, trigger, entry);
+            this.pinnedStaff[staffId].zones = zones;
+            this.getAssignment(staffId).override = { reason: 'pinned', zones: zones };
+            this.zoneVersion++;
+            if (NetworkHelper.canModifyGameState()) this.applyZones(staffId, zones, trigger, entry);
+            else DecisionLog.finish(entry, 'ok');
+        },
+
+        addLockedZone: function(staffId, x1, y1, x2, y2, trigger) {
+            var zones = this.isPinned(staffId) ? this.pinnedStaff[staffId].zones.slice() : [];
+            zones.push({ x1: Math.min(x1, x2), y1: Math.min(y1, y2), x2: Math.max(x1, x2), y2: Math.max(y1, y2) });
+            this.setLockedZone(staffId, zones, trigger);
+        },
+
+        // Entity ids are reused, so a pin must not outlive its staff member
+        prunePinnedStaff: function() {
+            var present = {};
+            for (var i = 0; i < this.allStaff.length; i++) present[this.allStaff[i].id] = true;
+            for (var id in this.pinnedStaff) {
+                if (this.pinnedStaff.hasOwnProperty(id) && !present[id]) {
+                    delete this.pinnedStaff[id];
+                    this.zoneVersion++;
+                }
+            }
+        },
+
+        serializePinned: function() {
+            return copyObject(this.pinnedStaff);
+        },
+
+        restorePinned: function(data) {
+            var before = JSON.stringify(this.pinnedStaff);
+            this.pinnedStaff = {};
+            if (!data || typeof data !== 'object') {
+                if (before !== '{}') this.zoneVersion++;
+                return;
+            }
+            for (var id in data) {
+                if (!data.hasOwnProperty(id) || !data[id] || typeof data[id].zones !== 'object') continue;
+                var zones = [];
+                for (var i = 0; i < data[id].zones.length; i++) {
+                    var zone = data[id].zones[i];
+                    if (zone && typeof zone.x1 === 'number' && typeof zone.y1 === 'number' && typeof zone.x2 === 'number' && typeof zone.y2 === 'number') {
+                        zones.push({ x1: zone.x1, y1: zone.y1, x2: zone.x2, y2: zone.y2 });
+                    }
+                }
+                this.pinnedStaff[id] = { zones: zones };
+            }
+            if (JSON.stringify(this.pinnedStaff) !== before) this.zoneVersion++;
+        },
+
+        // ============================================================
+        // ENERGY MANAGEMENT - Shrink tired staff zones, hand off exhausted ones
+        // ============================================================
+        getEnergyPercent: function(member) {
+            if (!member || typeof member.energy !== 'number') return 100;
+            return Math.round((member.energy / STAFF_MAX_ENERGY) * 100);
+        },
+
+        processEnergy: function() {
+            if (!CONFIG.energyManagement) {
+                this.releaseAllEnergyStates();
+                return;
+            }
+            var present = {};
+            for (var i = 0; i < this.allStaff.length; i++) {
+                var member = this.allStaff[i];
+                if (!member || typeof member.id !== 'number') continue;
+                present[member.id] = true;
+
+                var current = this.energyStates[member.id];
+                var reason = this.getZoneOverrideReason(member.id);
+                // Dispatches and coverage duties take priority over rest; staff without a
+                // generated zone keep their own area, which the restore could not put back
+                if (!current && (reason !== null || !this.hasGeneratedZone(member.id))) continue;
+
+                var energy = this.getEnergyPercent(member);
+                var desired = null;
+                if (energy < CONFIG.criticalEnergyThreshold) desired = 'critical';
+                else if (energy < CONFIG.lowEnergyThreshold) desired = 'low';
+                else if (current && energy < CONFIG.lowEnergyThreshold + ENERGY_RECOVERY_MARGIN) desired = current.state;
+
+                if (current && current.state === desired) {
+                    if (desired === 'critical' && current.coveredBy === null) this.handOffZone(member);
+                    continue;
+                }
+                if (current) this.releaseEnergyState(member.id);
+                if (desired) this.applyEnergyState(member, desired);
+            }
+
+            for (var id in this.energyStates) {
+                if (this.energyStates.hasOwnProperty(id) && !present[id]) this.releaseEnergyState(parseInt(id));
+            }
+        },
+
+        applyEnergyState: function(member, state) {
+            var radius = Math.max(3, Math.floor(CONFIG.patrolZoneSize / 3));
+            var tx = Math.floor(member.x / 32);
+            var ty = Math.floor(member.y / 32);
+            this.energyStates[member.id] = { state: state, coveredBy: null };
+            this.overridePatrolZone(member.id, 'tired', tx - radius, ty - radius, tx + radius, ty + radius);
+            this.statistics.energyRotations++;
+            if (state === 'critical') this.handOffZone(member);
+            if (CONFIG.debugMode) {
+                console.log('[Staff AI] Staff ' + member.id + ' energy ' + state + ' (' + this.getEnergyPercent(member) + '%)');
+            }
+        },
+
+        // Give an exhausted staff member's normal area to the nearest rested colleague
+        handOffZone: function(member) {
+            var zones = this.getNormalZones(member.id);
+            if (zones.length === 0) return;
+            var colleagues = this.getStaffList(member.staffType);
+            var best = null;
+            var bestDistance = Infinity;
+            for (var i = 0; i < colleagues.length; i++) {
+                var colleague = colleagues[i];
+                if (!colleague || colleague.id === member.id || this.hasZoneOverride(colleague.id) || !this.hasGeneratedZone(colleague.id)) continue;
+                if (this.getEnergyPercent(colleague) < CONFIG.lowEnergyThreshold) continue;
+                var distance = this.getDistanceToNearest(colleague, [{ x: Math.floor(member.x / 32), y: Math.floor(member.y / 32) }]);
+                if (distance < bestDistance) {
+                    best = colleague;
+                    bestDistance = distance;
+                }
+            }
+            if (!best) return;
+            this.energyStates[member.id].coveredBy = best.id;
+            this.overridePatrolZones(best.id, 'covering', this.getNormalZones(best.id).concat(zones));
+        },
+
+        releaseEnergyState: function(staffId) {
+            var current = this.energyStates[staffId];
+            if (!current) return;
+            delete this.energyStates[staffId];
+            if (this.getZoneOverrideReason(staffId) === 'tired') this.restorePatrolZone(staffId);
+            if (current.coveredBy !== null && this.getZoneOverrideReason(current.coveredBy) === 'covering') {
+                this.restorePatrolZone(current.coveredBy);
+            }
+        },
+
+        releaseAllEnergyStates: function() {
+            for (var id in this.energyStates) {
+                if (this.energyStates.hasOwnProperty(id)) this.releaseEnergyState(parseInt(id));
+            }
+        },
+
+        getEnergySummary: function() {
+            var summary = { low: 0, critical: 0, covered: 0 };
+            for (var id in this.energyStates) {
+                if (!this.energyStates.hasOwnProperty(id)) continue;
+                summary[this.energyStates[id].state]++;
+                if (this.energyStates[id].coveredBy !== null) summary.covered++;
+            }
+            return summary;
+        },
+
+        // Starts the 'zones' job; a request while a pass is running waits for the next one
+        generatePatrolZones: function(trigger) {
+            if (!NetworkHelper.canModifyGameState()) return;
+            if (!ParkAnalyzer.isAnalyzed || Scheduler.isRunning('zones')) return;
+            this.zoneTrigger = trigger;
+            Scheduler.start('zones');
+        },
+
+        generateHandymanPatrolZones: function() {
+            var handymen = this.getManagedStaff(this.handymen);
+            if (handymen.length === 0) {
+                this.exitSweepers = {};
+                this.queueCrews = {};
+                return;
+            }
+            if (ParkAnalyzer.pathTiles.length === 0) {
+                this.generateHandymanGridZones(handymen);
+                return;
+            }
+
+            var general = this.assignQueueCrews(this.assignExitSweepers(handymen));
+
+            // Balance footpaths between the other handymen, counting litter and vomit as extra work
+            var litterByTile = ParkAnalyzer.getLitterByTile();
+            var vomitHeat = ParkAnalyzer.vomitHeat;
+            var partitions = TilePartitioner.partition(ParkAnalyzer.pathTiles, general.length, function(tile) {
+                var key = tile.x + ',' + tile.y;
+                return 1 + (litterByTile[key] || 0) + (vomitHeat[key] || 0);
+            });
+            partitions.sort(function(a, b) { return b.weight - a.weight; });
+
+            var assignments = this.matchStaffToAreas(general, partitions);
+            for (var i = 0; i < assignments.length; i++) {
+                this.assignPatrolShape(assignments[i].staff.id, assignments[i].area.points, CONFIG.patrolZoneOverlap);
+                this.staffZones[assignments[i].staff.id] = 'paths:' + partitions.indexOf(assignments[i].area);
+            }
+        },
+
+        // Exits of nauseating rides, dirtiest first; vomit heat near the exit outweighs the rating
+        getExitSweepTargets: function() {
+            var targets = [];
+            for (var rideId in RideTracker.rideExits) {
+                if (!RideTracker.rideExits.hasOwnProperty(rideId)) continue;
+                var ride = null;
+                ride = GameApi.getRide(parseInt(rideId));
+                var nausea = ride && typeof ride.nausea === 'number' ? ride.nausea : 0;
+                var exits = RideTracker.rideExits[rideId];
+                for (var i = 0; i < exits.length; i++) {
+                    var heat = ParkAnalyzer.getVomitHeatNear(exits[i].x, exits[i].y, EXIT_SWEEP_RADIUS);
+                    if (nausea < CONFIG.handymanVomitNauseaThreshold && heat < 1) continue;
+                    targets.push({ x: exits[i].x, y: exits[i].y, rideId: parseInt(rideId), score: heat * 10 + nausea / 100 });
+                }
+            }
+            targets.sort(function(a, b) { return b.score - a.score; });
+            return targets;
+        },
+
+        // Stations the nearest handymen beside the worst ride exits; returns the handymen left over
+        assignExitSweepers: function(handymen) {
+            this.exitSweepers = {};
+            var remaining = handymen.slice();
+            if (!CONFIG.handymanExitSweepers) return remaining;
+            var targets = this.getExitSweepTargets();
+            var count = Math.min(targets.length, CONFIG.handymanExitSweeperMax, remaining.length - 1);
+            var areas = [];
+            for (var i = 0; i < count; i++) {
+                areas.push({ points: [targets[i]], target: targets[i] });
+            }
+            var assignments = this.matchStaffToAreas(remaining, areas);
+            for (var j = 0; j < assignments.length && j < count; j++) {
+                var staff = assignments[j].staff;
+                var target = assignments[j].area.target;
+                this.assignAreaAround(staff.id, target.x, target.y, EXIT_SWEEP_RADIUS);
+                this.exitSweepers[staff.id] = target.rideId;
+                this.staffZones[staff.id] = 'exit:' + target.rideId;
+                remaining.splice(remaining.indexOf(staff), 1);
+            }
+            return remaining;
+        },
+
+        // Crews grow with the number of queuing guests, capped by the configured share of handymen
+        getQueueCrewTarget: function() {
+            if (!CONFIG.handymanQueueCrews || ParkAnalyzer.queueLocations.length === 0) return 0;
+            var handymanCount = this.getManagedStaff(this.handymen).length;
+            var byShare = Math.floor(handymanCount * CONFIG.handymanQueueCrewShare);
+            var byDemand = Math.ceil(ParkAnalyzer.totalQueueGuests / CONFIG.handymanQueueGuestsPerCrew);
+            return Math.max(0, Math.min(byShare, byDemand, handymanCount - 1));
+        },
+
+        // Gives the busiest queue clusters their own handymen; returns the handymen left over
+        assignQueueCrews: function(handymen) {
+            this.queueCrews = {};
+            var remaining = handymen.slice();
+            var count = Math.min(this.getQueueCrewTarget(), remaining.length - 1);
+            this.queueCrewTarget = this.getQueueCrewTarget();
+            if (count <= 0) return remaining;
+
+            var clusters = ParkAnalyzer.getQueueClusters().slice(0, count);
+            var assignments = this.matchStaffToAreas(remaining, clusters);
+            for (var i = 0; i < assignments.length && i < count; i++) {
+                var staff = assignments[i].staff;
+                this.assignPatrolShape(staff.id, assignments[i].area.points, 1);
+                this.queueCrews[staff.id] = assignments[i].area.rideId;
+                this.staffZones[staff.id] = 'queue:' + assignments[i].area.rideId;
+                remaining.splice(remaining.indexOf(staff), 1);
+            }
+            return remaining;
+        },
+
+        isDedicatedHandyman: function(staffId) {
+            return this.exitSweepers[staffId] !== undefined || this.queueCrews[staffId] !== undefined;
+        },
+
+        // Gives each area (heaviest first) its nearest free staff member; extra staff double up
+        matchStaffToAreas: function(staffList, areas) {
+            var free = [];
+            for (var i = 0; i < staffList.length; i++) {
+                if (staffList[i] && typeof staffList[i].id === 'number') free.push(staffList[i]);
+            }
+            var assignments = [];
+            var a = 0;
+            while (free.length > 0 && areas.length > 0) {
+                var area = areas[a % areas.length];
+                var centre = TilePartitioner.getCentre(area.points);
+                var bestIndex = 0;
+                var bestDistance = Infinity;
+                for (var j = 0; j < free.length; j++) {
+                    var distance = this.getDistanceToNearest(free[j], [centre]);
+                    if (distance < bestDistance) {
+                        bestIndex = j;
+                        bestDistance = distance;
+                    }
+                }
+                assignments.push({ staff: free[bestIndex], area: area });
+                free.splice(bestIndex, 1);
+                a++;
+            }
+            return assignments;
+        },
+
+        generateHandymanGridZones: function(handymen) {
+            var mapSize = GameApi.getMapSize();
+            var mapWidth = mapSize.x, mapHeight = mapSize.y;
+            var zoneSize = CONFIG.patrolZoneSize;
+            var zonesX = Math.ceil(mapWidth / zoneSize);
+            var totalZones = zonesX * Math.ceil(mapHeight / zoneSize);
+
+            for (var i = 0; i < handymen.length; i++) {
+                var handyman = handymen[i];
+                if (!handyman || typeof handyman.id !== 'number') continue;
+                var zoneIndex = i % totalZones;
+                var zx = zoneIndex % zonesX;
+                var zy = Math.floor(zoneIndex / zonesX);
+                this.staffZones[handyman.id] = 'grid:' + zoneIndex;
+                this.assignPatrolZone(handyman.id, zx * zoneSize, zy * zoneSize, 
+                    Math.min((zx + 1) * zoneSize + CONFIG.patrolZoneOverlap, mapWidth - 1),
+                    Math.min((zy + 1) * zoneSize + CONFIG.patrolZoneOverlap, mapHeight - 1));
+            }
+        },
+
+        generateMechanicPatrolZones: function() {
+            this.mechanicRides = {};
+            var mechanics = this.getManagedStaff(this.mechanics);
+            if (mechanics.length === 0) return;
+            var mapSize = GameApi.getMapSize();
+            var mapWidth = mapSize.x, mapHeight = mapSize.y;
+
+            // Use ride tracker for better zone coverage
+            var rideIds = Object.keys(RideTracker.knownRides);
             if (rideIds.length === 0) {
                 // Fallback to grid
                 var zoneSize = CONFIG.patrolZoneSize * 2;
                 var zonesX = Math.ceil(mapWidth / zoneSize);
                 var totalZones = zonesX * Math.ceil(mapHeight / zoneSize);
-                for (var k = 0; k < this.mechanics.length; k++) {
-                    var mech = this.mechanics[k];
+                for (var k = 0; k < mechanics.length; k++) {
+                    var mech = mechanics[k];
                     if (!mech || typeof mech.id !== 'number') continue;
                     var zoneIndex = k % totalZones;
                     var zx = zoneIndex % zonesX;
                     var zy = Math.floor(zoneIndex / zonesX);
-                    this.setStaffPatrolArea(mech.id, zx * zoneSize, zy * zoneSize,
+                    this.staffZones[mech.id] = 'grid:' + zoneIndex;
+                    this.assignPatrolZone(mech.id, zx * zoneSize, zy * zoneSize,
                         Math.min((zx + 1) * zoneSize, mapWidth - 1),
-                        Math.min((zy + 1) * zoneSize, mapHeight - 1), 0);
+                        Math.min((zy + 1) * zoneSize, mapHeight - 1));
                 }
                 return;
             }
 
-            // Assign mechanics to ride groups based on entrance/exit coverage
-            var ridesPerMechanic = Math.ceil(rideIds.length / this.mechanics.length);
-            for (var i = 0; i < this.mechanics.length; i++) {
-                var mechanic = this.mechanics[i];
-                if (!mechanic || typeof mechanic.id !== 'number') continue;
-                
-                var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-                var startIdx = i * ridesPerMechanic;
-                var endIdx = Math.min(startIdx + ridesPerMechanic, rideIds.length);
-
-                for (var j = startIdx; j < endIdx; j++) {
-                    var rideId = parseInt(rideIds[j]);
-                    var coverage = RideTracker.getRideCoverage(rideId);
-                    if (coverage.minX !== Infinity) {
-                        minX = Math.min(minX, coverage.minX);
-                        minY = Math.min(minY, coverage.minY);
-                        maxX = Math.max(maxX, coverage.maxX);
-                        maxY = Math.max(maxY, coverage.maxY);
-                    }
-                }
+            // Cluster rides by location, balancing the work each cluster generates
+            var ridePoints = [];
+            for (var r = 0; r < rideIds.length; r++) {
+                var position = RideTracker.getRidePosition(parseInt(rideIds[r]));
+                if (position) ridePoints.push(position);
+            }
+            var clusters = TilePartitioner.partition(ridePoints, mechanics.length, function(point) {
+                return RideTracker.getRideWorkload(point.rideId);
+            });
+            clusters.sort(function(a, b) { return b.weight - a.weight; });
 
-                if (minX !== Infinity) {
-                    this.setStaffPatrolArea(mechanic.id, 
-                        Math.max(0, minX), Math.max(0, minY),
-                        Math.min(mapWidth - 1, maxX), Math.min(mapHeight - 1, maxY), 0);
+            var assignments = this.matchStaffToAreas(mechanics, clusters);
+            for (var i = 0; i < assignments.length; i++) {
+                var tiles = [];
+                var rides = assignments[i].area.points;
+                var mechanicId = assignments[i].staff.id;
+                if (!this.mechanicRides[mechanicId]) this.mechanicRides[mechanicId] = [];
+                this.staffZones[mechanicId] = 'rides:' + clusters.indexOf(assignments[i].area);
+                for (var j = 0; j < rides.length; j++) {
+                    tiles = tiles.concat(RideTracker.getRideTiles(rides[j].rideId));
+                    this.mechanicRides[mechanicId].push(rides[j].rideId);
+                }
+                if (tiles.length > 0) {
+                    this.assignPatrolShape(assignments[i].staff.id, tiles, 3);
                 }
             }
         },
 
         generateSecurityPatrolZones: function() {
-            if (this.security.length === 0) return;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
+            var guards = this.getManagedStaff(this.security);
+            if (guards.length === 0) return;
+            var mapSize = GameApi.getMapSize();
+            var mapWidth = mapSize.x, mapHeight = mapSize.y;
 
             // Prioritize crime hotspots
-            var crimeHotspots = CrimeDetector.getCrimeHotspots(this.security.length);
-            var guestHotspots = ParkAnalyzer.getGuestHotspots(this.security.length);
+            var crimeHotspots = CrimeDetector.getCrimeHotspots(guards.length);
+            var guestHotspots = ParkAnalyzer.getGuestHotspots(guards.length);
             
-            for (var i = 0; i < this.security.length; i++) {
-                var guard = this.security[i];
+            for (var i = 0; i < guards.length; i++) {
+                var guard = guards[i];
                 if (!guard || typeof guard.id !== 'number') continue;
-                var centerX, centerY;
+                var centerX, centerY, source;
                 
                 if (crimeHotspots[i]) {
                     centerX = crimeHotspots[i].x;
                     centerY = crimeHotspots[i].y;
+                    source = 'crime hotspot';
                 } else if (guestHotspots[i]) {
                     centerX = guestHotspots[i].x;
                     centerY = guestHotspots[i].y;
+                    source = 'guest hotspot';
                 } else if (ParkAnalyzer.entranceLocations.length > 0) {
                     var entrance = ParkAnalyzer.entranceLocations[i % ParkAnalyzer.entranceLocations.length];
                     centerX = entrance.x;
                     centerY = entrance.y;
+                    source = 'entrance';
                 } else {
                     centerX = mapWidth / 2;
                     centerY = mapHeight / 2;
+                    source = 'park centre';
+                }
+                this.assignAreaAround(guard.id, centerX, centerY, CONFIG.patrolZoneSize);
+                this.patrolTargets[guard.id] = { source: source, x: Math.floor(centerX), y: Math.floor(centerY) };
+                this.staffZones[guard.id] = 'area:' + Math.floor(centerX) + ',' + Math.floor(centerY);
+            }
+        },
+
+        generateEntertainerPatrolZones: function() {
+            var entertainers = this.getManagedStaff(this.entertainers);
+            if (entertainers.length === 0) return;
+            var mapSize = GameApi.getMapSize();
+            var mapWidth = mapSize.x, mapHeight = mapSize.y;
+
+            // Prioritize unhappy areas
+            var unhappyAreas = GuestFeedbackAnalyzer.getUnhappyAreas();
+            var guestHotspots = ParkAnalyzer.getGuestHotspots(entertainers.length);
+            var targets = unhappyAreas.length > 0 ? unhappyAreas : guestHotspots;
+
+            for (var i = 0; i < entertainers.length; i++) {
+                var entertainer = entertainers[i];
+                if (!entertainer || typeof entertainer.id !== 'number') continue;
+                var target, source;
+                if (targets.length > 0) {
+                    target = targets[i % targets.length];
+                    source = unhappyAreas.length > 0 ? 'unhappy area' : 'guest hotspot';
+                } else if (ParkAnalyzer.entranceLocations.length > 0) {
+                    target = ParkAnalyzer.entranceLocations[i % ParkAnalyzer.entranceLocations.length];
+                    source = 'entrance';
+                } else {
+                    target = { x: mapWidth / 2, y: mapHeight / 2 };
+                    source = 'park centre';
                 }
-                var radius = CONFIG.patrolZoneSize;
-                this.setStaffPatrolArea(guard.id, 
-                    Math.max(0, centerX - radius), Math.max(0, centerY - radius),
-                    Math.min(mapWidth - 1, centerX + radius), Math.min(mapHeight - 1, centerY + radius), 0);
+                this.assignAreaAround(entertainer.id, target.x, target.y, CONFIG.patrolZoneSize);
+                this.patrolTargets[entertainer.id] = { source: source, x: Math.floor(target.x), y: Math.floor(target.y) };
+                this.staffZones[entertainer.id] = 'area:' + Math.floor(target.x) + ',' + Math.floor(target.y);
+            }
+        },
+
+        // Covers the footpaths within `radius` of a point, or the whole square when there are none
+        assignAreaAround: function(staffId, centerX, centerY, radius) {
+            var tiles = ParkAnalyzer.getPathTilesInRect(centerX - radius, centerY - radius, centerX + radius, centerY + radius);
+            if (tiles.length > 0) {
+                this.assignPatrolShape(staffId, tiles, 1);
+            } else {
+                this.assignPatrolZone(staffId, Math.max(0, centerX - radius), Math.max(0, centerY - radius), centerX + radius, centerY + radius);
             }
         },
 
-        generateEntertainerPatrolZones: function() {
-            if (this.entertainers.length === 0) return;
-            var mapWidth = 128, mapHeight = 128;
-            try { mapWidth = map.size.x; mapHeight = map.size.y; } catch (e) {}
+        beginOrdersPass: function() {
+            this.ordersPass = { staff: this.getManagedStaff(this.handymen), index: 0 };
+        },
+
+        // Checks up to maxStaffPerTick handymen per step
+        ordersStep: function() {
+            if (!this.ordersPass) this.beginOrdersPass();
+            var pass = this.ordersPass;
+            var orders = 0;
+            if (CONFIG.handymanSweepEnabled) orders |= HANDYMAN_ORDERS.SWEEPING;
+            if (CONFIG.handymanWaterEnabled) orders |= HANDYMAN_ORDERS.WATERING;
+            if (CONFIG.handymanEmptyBinsEnabled) orders |= HANDYMAN_ORDERS.EMPTY_BINS;
+            if (CONFIG.handymanMowEnabled) orders |= HANDYMAN_ORDERS.MOWING;
+            var end = Math.min(pass.staff.length, pass.index + CONFIG.maxStaffPerTick);
+            for (; pass.index < end; pass.index++) {
+                var handyman = pass.staff[pass.index];
+                // The pass works from a snapshot, so staff fired since it began are skipped
+                if (!handyman || !this.findStaff(handyman.id)) continue;
+                if (handyman.orders !== orders) this.setStaffOrders(handyman, orders);
+            }
+            if (pass.index < pass.staff.length) return false;
+            this.ordersPass = null;
+            return true;
+        },
+
+        setStaffOrders: function(member, orders) {
+            var entry = DecisionLog.start('orders', member.id, member.staffType, 'orders ' + member.orders + ' differ from configured ' + orders);
+            DecisionLog.expect(entry);
+            ActionQueue.add('staffsetorders', { id: member.id, staffOrders: orders }, function(r) {
+                if (r.error === 0) StaffManager.statistics.ordersChanged++;
+                DecisionLog.complete(entry, r);
+            });
+        },
+
+        processHandymen: function() {
+            if (!CONFIG.handymanEnabled || this.handymen.length === 0) {
+                LitterDispatcher.reset();
+                return;
+            }
+            Scheduler.start('handymanOrders');
+            if (this.getQueueCrewTarget() !== this.queueCrewTarget) this.zonesNeedRegeneration = true;
+            LitterDispatcher.update();
+        },
+
+        onTick: function() {
+            if (!CONFIG.enabled) return;
+            var gameTick = this.getGameTick();
+            this.tickCounter = gameTick;
+            ActionQueue.process();
+
+            // Only the first scan of a park holds everything up; later rebuilds run behind the last snapshot
+            if (!ParkAnalyzer.isAnalyzed) {
+                Scheduler.run();
+                return;
+            }
+
+            if (ParkAnalyzer.layoutVersion !== this.zonedLayoutVersion) {
+                this.zonedLayoutVersion = ParkAnalyzer.layoutVersion;
+                this.zonesNeedRegeneration = true;
+            }
+
+            Scheduler.start('vandalism');
+
+            // Event-based smart hiring check (more frequent)
+            if (RideTracker.needsReconcile) {
+                this.processRideChanges();
+            }
+
+            if (gameTick - this.lastEventCheck >= CONFIG.eventCheckInterval) {
+                this.lastEventCheck = gameTick;
+                this.checkSmartHiring();
+                BreakdownWatcher.update();
+            }
+
+            if (gameTick - this.lastAnalysisUpdate >= CONFIG.analysisInterval) {
+                this.lastAnalysisUpdate = gameTick;
+                Scheduler.start('litter');
+                Scheduler.start('guestDensity');
+            }
+
+            if (gameTick - this.lastStaffUpdate >= CONFIG.staffUpdateInterval) {
+                this.lastStaffUpdate = gameTick;
+                PerformanceMonitor.startFrame();
+                this.updateStaffLists();
+                this.updateWorkSnapshots();
+                if (gameTick - this.lastPerformanceSample >= CONFIG.performanceSampleInterval) {
+                    this.lastPerformanceSample = gameTick;
+                    this.samplePerformance();
+                }
+                this.processEnergy();
+                this.processHandymen();
+                var frameTime = PerformanceMonitor.endFrame();
+                this.statistics.lastFrameTime = frameTime;
+                this.statistics.avgFrameTime = PerformanceMonitor.getAverageFrameTime();
+            }
+
+            Scheduler.run();
+            MetricHistory.update(gameTick);
+
+            if (gameTick - this.lastStatisticsSave >= CONFIG.statisticsInterval) {
+                this.lastStatisticsSave = gameTick;
+                SettingsStore.save();
+                Commands.broadcastState(false);
+            }
+
+            if (gameTick - this.lastAutoHireCheck >= CONFIG.autoHireCheckInterval) {
+                this.lastAutoHireCheck = gameTick;
+                this.checkAutoHire();
+                this.checkAutoFire();
+            }
+
+            // A full background rescan catches changes no layout action reported; dirty tiles are rescanned in between
+            if (CONFIG.autoReanalyze && gameTick - this.lastAutoReanalyze >= CONFIG.autoReanalyzeInterval) {
+                this.lastAutoReanalyze = gameTick;
+                this.lastDirtyRefresh = gameTick;
+                ParkAnalyzer.startAnalysis();
+                this.statistics.autoReanalyzeCount++;
+            } else if (CONFIG.autoReanalyze && gameTick - this.lastDirtyRefresh >= CONFIG.eventCheckInterval) {
+                this.lastDirtyRefresh = gameTick;
+                ParkAnalyzer.refresh();
+            }
+
+            if (CONFIG.autoGenZones && gameTick - this.lastAutoGenZones >= CONFIG.autoGenZonesInterval) {
+                this.lastAutoGenZones = gameTick;
+                if (ParkAnalyzer.isAnalyzed && this.allStaff.length > 0) {
+                    if (this.zonesNeedRegeneration || this.statistics.autoGenZonesCount === 0) {
+                        this.generatePatrolZones(this.statistics.autoGenZonesCount === 0 ? 'initial zones' : 'park or staff changed');
+                        this.statistics.autoGenZonesCount++;
+                    }
+                }
+            }
+        }
+    };
+
+    // ============================================================
+    // METRIC HISTORY - Ring buffer of park metrics for the trend graphs
+    // ============================================================
+    var TICKS_PER_MONTH = 16384;
+    var HISTORY_CAPACITY = 256;
+
+    var HISTORY_METRICS = [
+        { key: 'litter', label: 'Litter', sample: function() { return ParkAnalyzer.totalLitter + ParkAnalyzer.totalVomit; } },
+        { key: 'happiness', label: 'Guest Happiness %', sample: function() { return GuestFeedbackAnalyzer.happinessPercent; } },
+        { key: 'crime', label: 'Crime Rate /day', sample: function() { return CrimeDetector.getCrimeRate(); } },
+        { key: 'disgust', label: 'Disgust Complaints', sample: function() { return GuestFeedbackAnalyzer.disgustCount; } },
+        { key: 'guests', label: 'Guests', sample: function() { return ParkAnalyzer.totalGuests; } },
+        { key: 'staff', label: 'Total Staff', sample: function() { return StaffManager.allStaff.length; } },
+        { key: 'handymen', label: 'Handymen', sample: function() { return StaffManager.handymen.length; } },
+        { key: 'mechanics', label: 'Mechanics', sample: function() { return StaffManager.mechanics.length; } },
+        { key: 'security', label: 'Security', sample: function() { return StaffManager.security.length; } },
+        { key: 'entertainers', label: 'Entertainers', sample: function() { return StaffManager.entertainers.length; } },
+        { key: 'dispatches', label: 'Dispatches Made', sample: function() { return StaffManager.statistics.dispatchesMade; } }
+    ];
+
+    var HISTORY_RANGES = [
+        { label: 'Last Week', ticks: Math.round(TICKS_PER_MONTH / 4) },
+        { label: 'Last Month', ticks: TICKS_PER_MONTH },
+        { label: 'Last 3 Months', ticks: TICKS_PER_MONTH * 3 },
+        { label: 'All', ticks: Infinity }
+    ];
+
+    var TICKS_PER_DAY = TICKS_PER_MONTH / 31;
+
+    // Palette indices used by the graph widget
+    var GRAPH_COLOURS = { grid: 14, line: 102 };
+
+    var MetricHistory = {
+        samples: [],
+        head: 0,
+        lastSampleTick: -Infinity,
+        unsaved: false,
+
+        update: function(gameTick) {
+            if (gameTick < this.lastSampleTick) this.lastSampleTick = -Infinity;
+            if (gameTick - this.lastSampleTick < CONFIG.historySampleInterval) return;
+            this.lastSampleTick = gameTick;
+            this.record(gameTick);
+        },
+
+        record: function(gameTick) {
+            var values = [];
+            for (var i = 0; i < HISTORY_METRICS.length; i++) {
+                var value = 0;
+                try { value = HISTORY_METRICS[i].sample(); } catch (e) {}
+                values.push(typeof value === 'number' && isFinite(value) ? value : 0);
+            }
+            var sample = { tick: gameTick, values: values };
+            if (this.samples.length < HISTORY_CAPACITY) {
+                this.samples.push(sample);
+            } else {
+                this.samples[this.head] = sample;
+                this.head = (this.head + 1) % HISTORY_CAPACITY;
+            }
+            this.unsaved = true;
+        },
+
+        // Oldest first
+        getOrdered: function() {
+            return this.samples.slice(this.head).concat(this.samples.slice(0, this.head));
+        },
+
+        getSeries: function(metricIndex, rangeTicks) {
+            var ordered = this.getOrdered();
+            if (ordered.length === 0) return [];
+            var since = ordered[ordered.length - 1].tick - rangeTicks;
+            var series = [];
+            for (var i = 0; i < ordered.length; i++) {
+                if (ordered[i].tick >= since) series.push({ tick: ordered[i].tick, value: ordered[i].values[metricIndex] || 0 });
+            }
+            return series;
+        },
+
+        clear: function() {
+            this.samples = [];
+            this.head = 0;
+            this.lastSampleTick = -Infinity;
+            this.unsaved = true;
+        },
+
+        // Saved keyed by metric so adding or removing metrics later keeps old parks readable
+        serialize: function() {
+            var ordered = this.getOrdered();
+            var data = { ticks: [], metrics: {} };
+            for (var m = 0; m < HISTORY_METRICS.length; m++) data.metrics[HISTORY_METRICS[m].key] = [];
+            for (var i = 0; i < ordered.length; i++) {
+                data.ticks.push(ordered[i].tick);
+                for (var j = 0; j < HISTORY_METRICS.length; j++) {
+                    data.metrics[HISTORY_METRICS[j].key].push(ordered[i].values[j]);
+                }
+            }
+            return data;
+        },
+
+        restore: function(data) {
+            this.clear();
+            if (!data || !data.ticks || typeof data.metrics !== 'object') return;
+            var start = Math.max(0, data.ticks.length - HISTORY_CAPACITY);
+            for (var i = start; i < data.ticks.length; i++) {
+                var values = [];
+                for (var j = 0; j < HISTORY_METRICS.length; j++) {
+                    var column = data.metrics[HISTORY_METRICS[j].key];
+                    values.push(column && typeof column[i] === 'number' ? column[i] : 0);
+                }
+                this.samples.push({ tick: data.ticks[i], values: values });
+            }
+            if (this.samples.length > 0) this.lastSampleTick = this.samples[this.samples.length - 1].tick;
+            this.unsaved = false;
+        }
+    };
+
+    // ============================================================
+    // SETTINGS EDITOR - Range-checked edits of numeric CONFIG values
+    // ============================================================
+    var SettingsEditor = {
+        getSetting: function(key) {
+            for (var i = 0; i < NUMERIC_SETTINGS.length; i++) {
+                if (NUMERIC_SETTINGS[i].key === key) return NUMERIC_SETTINGS[i];
+            }
+            return null;
+        },
+
+        getGroupSettings: function(group) {
+            var settings = [];
+            for (var i = 0; i < NUMERIC_SETTINGS.length; i++) {
+                if (NUMERIC_SETTINGS[i].group === group) settings.push(NUMERIC_SETTINGS[i]);
+            }
+            return settings;
+        },
+
+        getLargestGroupSize: function() {
+            var largest = 0;
+            for (var i = 0; i < SETTING_GROUPS.length; i++) {
+                largest = Math.max(largest, this.getGroupSettings(SETTING_GROUPS[i]).length);
+            }
+            return largest;
+        },
+
+        format: function(key) {
+            var setting = this.getSetting(key);
+            if (!setting) return String(CONFIG[key]);
+            return CONFIG[key].toFixed(setting.decimals || 0);
+        },
+
+        round: function(key, value) {
+            var factor = Math.pow(10, this.getSetting(key).decimals || 0);
+            return Math.round(value * factor) / factor;
+        },
+
+        // Returns an error message, or null when the value may be applied
+        check: function(key, value) {
+            var setting = this.getSetting(key);
+            if (!setting) return 'Unknown setting';
+            if (typeof value !== 'number' || isNaN(value)) return 'Not a number';
+            value = this.round(key, value);
+            if (value < setting.min || value > setting.max) {
+                return setting.label + ' must be between ' + setting.min + ' and ' + setting.max;
+            }
+
+            // Keep paired limits consistent
+            if (/MinCount$/.test(key) && value > CONFIG[key.replace(/MinCount$/, 'MaxCount')]) {
+                return 'Minimum cannot exceed maximum';
+            }
+            if (/MaxCount$/.test(key) && value < CONFIG[key.replace(/MaxCount$/, 'MinCount')]) {
+                return 'Maximum cannot be below minimum';
+            }
+            if (key === 'criticalEnergyThreshold' && value > CONFIG.lowEnergyThreshold) {
+                return 'Critical energy cannot exceed low energy';
+            }
+            if (key === 'lowEnergyThreshold' && value < CONFIG.criticalEnergyThreshold) {
+                return 'Low energy cannot be below critical energy';
+            }
+            if (key === 'handymanDispatchClearLitter' && value >= CONFIG.handymanDispatchLitter) {
+                return 'Cleared level must be below the dispatch level';
+            }
+            if (key === 'handymanDispatchLitter' && value <= CONFIG.handymanDispatchClearLitter) {
+                return 'Dispatch level must be above the cleared level';
+            }
+            return null;
+        },
+
+        // Returns an error message, or null once the value has been applied
+        setValue: function(key, value) {
+            var error = this.check(key, value);
+            if (error) return error;
+            CONFIG[key] = this.round(key, value);
+            if (this.getSetting(key).zones) StaffManager.zonesNeedRegeneration = true;
+            return null;
+        },
+
+        step: function(key, direction) {
+            var setting = this.getSetting(key);
+            if (!setting) return;
+            var value = CONFIG[key] + setting.step * direction;
+            value = Math.max(setting.min, Math.min(setting.max, value));
+            if (!this.check(key, value)) Commands.setConfig(key, this.round(key, value));
+        },
+
+        promptValue: function(key) {
+            var setting = this.getSetting(key);
+            if (!setting || !GameApi.ui) return;
+            var self = this;
+            GameApi.ui.showTextInput({
+                title: setting.label,
+                description: 'Enter a value between ' + setting.min + ' and ' + setting.max + ':',
+                initialValue: this.format(key),
+                maxLength: 12,
+                callback: function(text) {
+                    var value = parseFloat(text);
+                    var error = self.check(key, value);
+                    if (error) GameApi.ui.showError('Invalid value', error);
+                    else Commands.setConfig(key, self.round(key, value));
+                }
+            });
+        }
+    };
+
+    // ============================================================
+    // STAFF ROSTER - One row per staff member for the Roster tab
+    // ============================================================
+    var ZONE_PAINT_TOOL = 'staff-ai-zone-paint';
+    var ROSTER_SORTS = ['Name', 'Type', 'Energy', 'Score', 'Last action'];
+    var ROSTER_FILTERS = ['All', 'Tired', 'Zone overridden', 'Idle or low score', 'Pinned'];
+
+    var StaffRoster = {
+        describeOrders: function(member) {
+            var names = [];
+            var orders = typeof member.orders === 'number' ? member.orders : 0;
+            if (member.staffType === 'handyman') {
+                if (orders & HANDYMAN_ORDERS.SWEEPING) names.push('Sweep');
+                if (orders & HANDYMAN_ORDERS.WATERING) names.push('Water');
+                if (orders & HANDYMAN_ORDERS.EMPTY_BINS) names.push('Bins');
+                if (orders & HANDYMAN_ORDERS.MOWING) names.push('Mow');
+            } else if (member.staffType === 'mechanic') {
+                if (orders & MECHANIC_ORDERS.INSPECT) names.push('Inspect');
+                if (orders & MECHANIC_ORDERS.FIX) names.push('Fix');
+            } else if (member.staffType === 'security') {
+                return 'Patrol';
+            } else {
+                return typeof member.costume === 'string' ? member.costume : 'Entertain';
+            }
+            return names.length > 0 ? names.join(', ') : 'None';
+        },
+
+        // Bounds of the zone the game currently has, marked when it is an override or pinned
+        describeArea: function(staffId) {
+            var assignment = StaffManager.staffAssignments[staffId];
+            var reason = StaffManager.getZoneOverrideReason(staffId);
+            var zones = [];
+            if (StaffManager.isPinned(staffId)) zones = StaffManager.pinnedStaff[staffId].zones;
+            else if (assignment) zones = assignment.override ? assignment.override.zones : assignment.zones;
+            if (zones.length === 0) return reason ? 'none (' + reason + ')' : 'none';
+            var x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+            for (var i = 0; i < zones.length; i++) {
+                x1 = Math.min(x1, zones[i].x1);
+                y1 = Math.min(y1, zones[i].y1);
+                x2 = Math.max(x2, zones[i].x2);
+                y2 = Math.max(y2, zones[i].y2);
+            }
+            var bounds = Math.floor(x1) + ',' + Math.floor(y1) + ' - ' + Math.floor(x2) + ',' + Math.floor(y2);
+            return reason ? bounds + ' (' + reason + ')' : bounds;
+        },
+
+        getRideName: function(rideId) {
+            var ride = GameApi.getRide(rideId);
+            return ride && ride.name ? ride.name : 'Ride ' + rideId;
+        },
+
+        describeAssignment: function(member) {
+            var id = member.id;
+            if (member.staffType === 'mechanic') {
+                var rides = StaffManager.mechanicRides[id] || [];
+                return rides.length > 0 ? rides.map(this.getRideName).join(', ') : '-';
+            }
+            if (member.staffType === 'handyman') {
+                if (StaffManager.exitSweepers[id] !== undefined) return 'Exit of ' + this.getRideName(StaffManager.exitSweepers[id]);
+                if (StaffManager.queueCrews[id] !== undefined) return 'Queue of ' + this.getRideName(StaffManager.queueCrews[id]);
+                return 'Footpaths';
+            }
+            var target = StaffManager.patrolTargets[id];
+            return target ? target.source + ' ' + target.x + ',' + target.y : '-';
+        },
+
+        // The newest decision log entry for every staff member
+        getLastDecisions: function() {
+            var last = {};
+            for (var i = 0; i < DecisionLog.entries.length; i++) {
+                var entry = DecisionLog.entries[i];
+                if (entry.staffId !== null && !last[entry.staffId]) last[entry.staffId] = entry;
+            }
+            return last;
+        },
+
+        matchesFilter: function(member, filter) {
+            if (filter === 'Tired') return !!StaffManager.energyStates[member.id];
+            if (filter === 'Zone overridden') return StaffManager.hasZoneOverride(member.id);
+            if (filter === 'Pinned') return StaffManager.isPinned(member.id);
+            if (filter === 'Idle or low score') {
+                var status = StaffManager.getPerformanceStatus(member.id);
+                return status === 'idle' || status === 'low';
+            }
+            return true;
+        },
+
+        // Returns { ids, items } so a clicked row can be traced back to its staff member
+        getRows: function(typeFilter, filter, sortBy) {
+            var last = this.getLastDecisions();
+            var rows = [];
+            for (var i = 0; i < StaffManager.allStaff.length; i++) {
+                var member = StaffManager.allStaff[i];
+                if (!member || typeof member.id !== 'number') continue;
+                if (typeFilter && member.staffType !== typeFilter) continue;
+                if (!this.matchesFilter(member, filter)) continue;
+                var decision = last[member.id] || null;
+                var score = StaffManager.getScore(member.id);
+                var name = member.name || '#' + member.id;
+                rows.push({
+                    id: member.id,
+                    name: name,
+                    staffType: member.staffType,
+                    energy: StaffManager.getEnergyPercent(member),
+                    score: score,
+                    decisionTick: decision ? decision.tick : -1,
+                    cells: [
+                        name,
+                        member.staffType,
+                        this.describeOrders(member),
+                        StaffManager.getEnergyPercent(member) + '%',
+                        this.describeArea(member.id),
+                        this.describeAssignment(member),
+                        decision ? decision.action + ' ' + decision.result + ' (tick ' + decision.tick + ')' : '-',
+                        score !== null ? String(score) : '-'
+                    ]
+                });
+            }
+            rows.sort(this.comparators[sortBy] || this.comparators.Name);
+            return {
+                ids: rows.map(function(row) { return row.id; }),
+                items: rows.map(function(row) { return row.cells; })
+            };
+        },
+
+        // Tired and weak staff first; unscored staff sort last
+        comparators: {
+            'Name': function(a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : a.id - b.id; },
+            'Type': function(a, b) { return STAFF_TYPES.indexOf(a.staffType) - STAFF_TYPES.indexOf(b.staffType) || a.id - b.id; },
+            'Energy': function(a, b) { return a.energy - b.energy || a.id - b.id; },
+            'Score': function(a, b) {
+                var sa = a.score === null ? Infinity : a.score, sb = b.score === null ? Infinity : b.score;
+                return sa === sb ? a.id - b.id : sa - sb;
+            },
+            'Last action': function(a, b) { return b.decisionTick - a.decisionTick || a.id - b.id; }
+        },
+
+        locate: function(staffId) {
+            var member = StaffManager.findStaff(staffId);
+            if (!member || typeof member.x !== 'number') return false;
+            return GameApi.scrollViewportTo(member.x, member.y, member.z);
+        }
+    };
+
+    // ============================================================
+    // ZONE OVERLAY - Shows the patrol areas the game actually has
+    // ============================================================
+    var ZONE_OVERLAY_MODES = ['Off', 'All zones', 'One staff type', 'One staff member'];
+    // tileSelection has a single colour, so the main view shows one of these at a time
+    var ZONE_OVERLAY_VIEWS = ['Zone tiles', 'Uncovered paths'];
+
+    // Palette indices for the zone map
+    var ZONE_COLOURS = { handyman: 102, mechanic: 162, security: 138, entertainer: 56, path: 14, uncovered: 171 };
+
+    var ZoneOverlay = {
+        // Staff whose zones are shown; `staffType` narrows the last two modes
+        getScopeStaff: function(mode, staffType, staffId) {
+            if (mode === 1) return StaffManager.allStaff.slice();
+            if (mode === 2) return StaffManager.getStaffList(staffType).slice();
+            if (mode === 3) {
+                var member = StaffManager.findStaff(staffId);
+                return member ? [member] : [];
+            }
+            return [];
+        },
+
+        // Applied blocks win over generated zones, so this matches what the game has
+        getBlocks: function(staffId) {
+            var assignment = StaffManager.staffAssignments[staffId];
+            if (assignment && assignment.applied) return assignment.applied;
+            if (StaffManager.isPinned(staffId)) return PatrolShapeBuilder.getBlocksForRects(StaffManager.pinnedStaff[staffId].zones);
+            return assignment ? PatrolShapeBuilder.getBlocksForRects(assignment.zones) : {};
+        },
+
+        // Every shown block once, tagged with the staff type that patrols it
+        getZoneBlocks: function(staffList) {
+            var blocks = {};
+            for (var i = 0; i < staffList.length; i++) {
+                var member = staffList[i];
+                if (!member || typeof member.id !== 'number') continue;
+                var memberBlocks = this.getBlocks(member.id);
+                for (var key in memberBlocks) {
+                    if (memberBlocks.hasOwnProperty(key)) blocks[key] = { x: memberBlocks[key].x, y: memberBlocks[key].y, staffType: member.staffType };
+                }
+            }
+            return blocks;
+        },
+
+        // Path tiles outside every zone of the shown staff types
+        getUncoveredTiles: function(staffList) {
+            var types = {};
+            for (var i = 0; i < staffList.length; i++) {
+                if (staffList[i]) types[staffList[i].staffType] = true;
+            }
+            var covering = StaffManager.allStaff.filter(function(member) { return member && types[member.staffType]; });
+            var covered = this.getZoneBlocks(covering);
+            var uncovered = [];
+            for (var j = 0; j < ParkAnalyzer.pathTiles.length; j++) {
+                var tile = ParkAnalyzer.pathTiles[j];
+                var key = Math.floor(tile.x / PATROL_BLOCK_SIZE) + ',' + Math.floor(tile.y / PATROL_BLOCK_SIZE);
+                if (!covered.hasOwnProperty(key)) uncovered.push(tile);
+            }
+            return uncovered;
+        },
+
+        // World coordinates for ui.tileSelection: the zone blocks, or only the uncovered paths
+        getSelectionTiles: function(overlay, view) {
+            var tiles = [];
+            var i;
+            if (view === 1) {
+                for (i = 0; i < overlay.uncovered.length; i++) {
+                    tiles.push({ x: overlay.uncovered[i].x * 32, y: overlay.uncovered[i].y * 32 });
+                }
+                return tiles;
+            }
+            var blocks = overlay.blocks;
+            for (var key in blocks) {
+                if (!blocks.hasOwnProperty(key)) continue;
+                for (var dy = 0; dy < PATROL_BLOCK_SIZE; dy++) {
+                    for (var dx = 0; dx < PATROL_BLOCK_SIZE; dx++) {
+                        tiles.push({ x: (blocks[key].x * PATROL_BLOCK_SIZE + dx) * 32, y: (blocks[key].y * PATROL_BLOCK_SIZE + dy) * 32 });
+                    }
+                }
+            }
+            return tiles;
+        },
+
+        build: function(mode, staffType, staffId) {
+            var staffList = this.getScopeStaff(mode, staffType, staffId);
+            var blocks = this.getZoneBlocks(staffList);
+            var uncovered = staffList.length > 0 ? this.getUncoveredTiles(staffList) : [];
+            return { staffCount: staffList.length, blocks: blocks, uncovered: uncovered };
+        },
+
+        draw: function(g, overlay, width, height) {
+            g.well(0, 0, width, height);
+            var mapSize = GameApi.getMapSize();
+            var scale = Math.min((width - 4) / mapSize.x, (height - 18) / mapSize.y);
+            var tile = Math.max(1, Math.round(scale));
+            var block = Math.max(1, Math.round(scale * PATROL_BLOCK_SIZE));
+            var cell = function(x, y, size, colour) {
+                g.fill = colour;
+                g.stroke = colour;
+                g.rect(2 + Math.floor(x * scale), 2 + Math.floor(y * scale), size, size);
+            };
+            for (var key in overlay.blocks) {
+                if (overlay.blocks.hasOwnProperty(key)) {
+                    var b = overlay.blocks[key];
+                    cell(b.x * PATROL_BLOCK_SIZE, b.y * PATROL_BLOCK_SIZE, block, ZONE_COLOURS[b.staffType]);
+                }
+            }
+            for (var i = 0; i < ParkAnalyzer.pathTiles.length; i++) {
+                cell(ParkAnalyzer.pathTiles[i].x, ParkAnalyzer.pathTiles[i].y, tile, ZONE_COLOURS.path);
+            }
+            for (var j = 0; j < overlay.uncovered.length; j++) {
+                cell(overlay.uncovered[j].x, overlay.uncovered[j].y, tile, ZONE_COLOURS.uncovered);
+            }
+
+            // Legend along the bottom edge
+            var legendX = 4;
+            var legend = STAFF_TYPES.concat(['uncovered']);
+            g.colour = 2;
+            for (var k = 0; k < legend.length; k++) {
+                g.fill = ZONE_COLOURS[legend[k]];
+                g.stroke = ZONE_COLOURS[legend[k]];
+                g.rect(legendX, height - 11, 7, 7);
+                g.text(legend[k], legendX + 10, height - 13);
+                legendX += 16 + legend[k].length * 5;
+            }
+        }
+    };
+
+    // ============================================================
+    // UI MANAGER (Simplified for brevity)
+    // ============================================================
+    var UIManager = {
+        mainWindow: null,
+        windowId: 'staff-ai-mgr-v3',
+        updateInterval: null,
+        currentTab: 0,
+        settingsGroup: 0,
+        // One row per setting of the largest group, squeezed to fit above the hint line
+        settingRowCount: SettingsEditor.getLargestGroupSize(),
+        settingRowSpacing: Math.min(22, Math.floor(246 / Math.max(1, SettingsEditor.getLargestGroupSize()))),
+        settingSpinners: {},
+        historyMetric: 0,
+        historyRange: 1,
+        decisionAction: 0,
+        decisionType: 0,
+        rosterType: 0,
+        rosterFilter: 0,
+        rosterSort: 0,
+        rosterIds: [],
+        rosterSelected: null,
+        zoneOverlayMode: 0,
+        zoneOverlayType: 0,
+        zoneOverlayStaff: null,
+        zoneOverlayStaffIds: [],
+        zoneOverlayView: 0,
+        zoneOverlay: null,
+        zoneOverlaySignature: null,
+        zonePaintStaff: null,
+
+        createSettingSpinner: function(name, key, x, y, width) {
+            var self = this;
+            this.settingSpinners[name] = key;
+            return {
+                type: 'spinner', name: name, x: x, y: y, width: width || 140, height: 14,
+                text: SettingsEditor.format(key), isVisible: false,
+                onIncrement: function() { SettingsEditor.step(key, 1); self.refreshSettingValues(); },
+                onDecrement: function() { SettingsEditor.step(key, -1); self.refreshSettingValues(); },
+                onClick: function() { SettingsEditor.promptValue(key); }
+            };
+        },
+
+        // Settings tab rows are relabelled whenever the selected group changes
+        createSettingRowSpinner: function(row, y) {
+            var self = this;
+            var rowKey = function() {
+                var settings = SettingsEditor.getGroupSettings(SETTING_GROUPS[self.settingsGroup]);
+                return settings[row] ? settings[row].key : null;
+            };
+            return {
+                type: 'spinner', name: 'spn_setting_' + row, x: 290, y: y, width: 140, height: 14, text: '', isVisible: false,
+                onIncrement: function() { var key = rowKey(); if (key) { SettingsEditor.step(key, 1); self.refreshSettingValues(); } },
+                onDecrement: function() { var key = rowKey(); if (key) { SettingsEditor.step(key, -1); self.refreshSettingValues(); } },
+                onClick: function() { var key = rowKey(); if (key) SettingsEditor.promptValue(key); }
+            };
+        },
+
+        drawHistoryGraph: function(g, width, height) {
+            g.well(0, 0, width, height);
+            g.colour = 2;
+            var series = MetricHistory.getSeries(this.historyMetric, HISTORY_RANGES[this.historyRange].ticks);
+            if (series.length < 2) {
+                g.text('Collecting samples...', 8, Math.floor(height / 2) - 5);
+                return;
+            }
 
-            // Prioritize unhappy areas
-            var unhappyAreas = GuestFeedbackAnalyzer.getUnhappyAreas();
-            var guestHotspots = ParkAnalyzer.getGuestHotspots(this.entertainers.length);
-            var targets = unhappyAreas.length > 0 ? unhappyAreas : guestHotspots;
+            var min = Infinity, max = -Infinity;
+            for (var i = 0; i < series.length; i++) {
+                min = Math.min(min, series[i].value);
+                max = Math.max(max, series[i].value);
+            }
+            if (min > 0) min = 0;
+            if (max === min) max = min + 1;
 
-            for (var i = 0; i < this.entertainers.length; i++) {
-                var entertainer = this.entertainers[i];
-                if (!entertainer || typeof entertainer.id !== 'number') continue;
-                var target;
-                if (targets.length > 0) {
-                    target = targets[i % targets.length];
-                } else if (ParkAnalyzer.entranceLocations.length > 0) {
-                    target = ParkAnalyzer.entranceLocations[i % ParkAnalyzer.entranceLocations.length];
-                } else {
-                    target = { x: mapWidth / 2, y: mapHeight / 2 };
-                }
-                var radius = CONFIG.patrolZoneSize;
-                this.setStaffPatrolArea(entertainer.id,
-                    Math.max(0, target.x - radius), Math.max(0, target.y - radius),
-                    Math.min(mapWidth - 1, target.x + radius), Math.min(mapHeight - 1, target.y + radius), 0);
+            var left = 34, top = 6, right = width - 6, bottom = height - 16;
+            var firstTick = series[0].tick;
+            var span = Math.max(1, series[series.length - 1].tick - firstTick);
+            g.stroke = GRAPH_COLOURS.grid;
+            g.line(left, top, left, bottom);
+            g.line(left, bottom, right, bottom);
+            g.text(String(Math.round(max * 10) / 10), 4, top);
+            g.text(String(Math.round(min * 10) / 10), 4, bottom - 8);
+            var days = Math.round(span / TICKS_PER_DAY);
+            g.text(days + (days === 1 ? ' day' : ' days'), left, bottom + 3);
+
+            g.stroke = GRAPH_COLOURS.line;
+            var prevX = null, prevY = null;
+            for (var j = 0; j < series.length; j++) {
+                var x = left + Math.round(((series[j].tick - firstTick) / span) * (right - left));
+                var y = bottom - Math.round(((series[j].value - min) / (max - min)) * (bottom - top));
+                if (prevX !== null) g.line(prevX, prevY, x, y);
+                prevX = x;
+                prevY = y;
             }
         },
 
-        processHandymen: function() {
-            if (!CONFIG.handymanEnabled || this.handymen.length === 0) return;
-            ParkAnalyzer.updateLitterAndVandalism();
-            for (var i = 0; i < this.handymen.length; i++) {
-                var handyman = this.handymen[i];
-                if (!handyman) continue;
-                var orders = 0;
-                if (CONFIG.handymanSweepEnabled) orders |= HANDYMAN_ORDERS.SWEEPING;
-                if (CONFIG.handymanWaterEnabled) orders |= HANDYMAN_ORDERS.WATERING;
-                if (CONFIG.handymanEmptyBinsEnabled) orders |= HANDYMAN_ORDERS.EMPTY_BINS;
-                if (CONFIG.handymanMowEnabled) orders |= HANDYMAN_ORDERS.MOWING;
-                if (handyman.orders !== orders) {
-                    ActionQueue.add('staffsetorders', { id: handyman.id, staffOrders: orders }, function(r) {
-                        if (r.error === 0) StaffManager.statistics.ordersChanged++;
-                    });
+        refreshDecisionList: function() {
+            if (!this.mainWindow) return;
+            var list = this.mainWindow.findWidget('lst_decisions');
+            if (!list) return;
+            var action = this.decisionAction > 0 ? DECISION_ACTIONS[this.decisionAction - 1] : null;
+            var staffType = this.decisionType > 0 ? STAFF_TYPES[this.decisionType - 1] : null;
+            list.items = DecisionLog.getItems(action, staffType);
+        },
+
+        refreshRosterList: function() {
+            if (!this.mainWindow) return;
+            var list = this.mainWindow.findWidget('lst_roster');
+            if (!list) return;
+            var staffType = this.rosterType > 0 ? STAFF_TYPES[this.rosterType - 1] : null;
+            var rows = StaffRoster.getRows(staffType, ROSTER_FILTERS[this.rosterFilter], ROSTER_SORTS[this.rosterSort]);
+            this.rosterIds = rows.ids;
+            list.items = rows.items;
+            var row = this.rosterSelected !== null ? rows.ids.indexOf(this.rosterSelected) : -1;
+            list.selectedCell = row !== -1 ? { row: row, column: 0 } : null;
+            this.updateLabel('lbl_roster_count', rows.ids.length + ' of ' + StaffManager.allStaff.length + ' staff' +
+                (row !== -1 ? ' - selected: ' + rows.items[row][0] : '') + (this.zonePaintStaff !== null ? ' - painting a zone (right-click to stop)' : ''));
+            this.updateLabel('btn_roster_pin', this.rosterSelected !== null && StaffManager.isPinned(this.rosterSelected) ? 'Unpin' : 'Pin');
+        },
+
+        togglePinned: function() {
+            if (this.rosterSelected === null) return;
+            Commands.send(StaffManager.isPinned(this.rosterSelected) ? 'unpin' : 'pin', { staffId: this.rosterSelected });
+        },
+
+        // Each rectangle dragged on the map is added to the selected staff member's locked zone
+        startZonePaint: function() {
+            if (this.rosterSelected === null) return;
+            var self = this;
+            var staffId = this.rosterSelected;
+            var start = null;
+            var mapSize = GameApi.getMapSize();
+            var toTile = function(coords) {
+                return {
+                    x: Math.max(0, Math.min(mapSize.x - 1, Math.floor(coords.x / 32))),
+                    y: Math.max(0, Math.min(mapSize.y - 1, Math.floor(coords.y / 32)))
+                };
+            };
+            var showRange = function(a, b) {
+                GameApi.setTileSelectionRange({
+                    leftTop: { x: Math.min(a.x, b.x) * 32, y: Math.min(a.y, b.y) * 32 },
+                    rightBottom: { x: Math.max(a.x, b.x) * 32, y: Math.max(a.y, b.y) * 32 }
+                });
+            };
+            var started = GameApi.activateTool({
+                id: ZONE_PAINT_TOOL,
+                cursor: 'cross_hair',
+                onDown: function(e) {
+                    if (!e.mapCoords) return;
+                    start = toTile(e.mapCoords);
+                    showRange(start, start);
+                },
+                onMove: function(e) {
+                    if (start && e.mapCoords) showRange(start, toTile(e.mapCoords));
+                },
+                onUp: function(e) {
+                    if (!start) return;
+                    var end = e.mapCoords ? toTile(e.mapCoords) : start;
+                    Commands.send('lockzone', { staffId: staffId, x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+                    start = null;
+                    GameApi.setTileSelectionRange(null);
+                },
+                onFinish: function() {
+                    self.zonePaintStaff = null;
+                    GameApi.setTileSelectionRange(null);
+                    self.refreshRosterList();
                 }
+            });
+            if (started) {
+                this.zonePaintStaff = staffId;
+                this.refreshRosterList();
             }
         },
 
-        onTick: function() {
-            if (!CONFIG.enabled) return;
-            var gameTick = this.getGameTick();
-            this.tickCounter = gameTick;
-            ActionQueue.process();
+        // The tool paints for the staff member it was started on, so it must not outlive the selection
+        stopZonePaint: function() {
+            if (this.zonePaintStaff !== null) GameApi.cancelTool(ZONE_PAINT_TOOL);
+        },
 
-            if (!ParkAnalyzer.isAnalyzed) {
-                ParkAnalyzer.runAnalysisStep();
-                return;
-            }
+        // Selecting a row jumps the main view to that staff member
+        selectRosterRow: function(row) {
+            var staffId = this.rosterIds[row];
+            if (typeof staffId !== 'number') return;
+            if (staffId !== this.rosterSelected) this.stopZonePaint();
+            this.rosterSelected = staffId;
+            StaffRoster.locate(staffId);
+            this.refreshRosterList();
+        },
 
-            // Event-based smart hiring check (more frequent)
-            if (gameTick - this.lastEventCheck >= CONFIG.eventCheckInterval) {
-                this.lastEventCheck = gameTick;
-                this.checkSmartHiring();
+        // Only runs on the Zones tab, and only rebuilds when the choice, the layout or a zone changed
+        refreshZoneOverlay: function() {
+            if (!this.mainWindow || this.currentTab !== 4) return;
+            var staffType = STAFF_TYPES[this.zoneOverlayType];
+            var members = StaffManager.getStaffList(staffType);
+            this.zoneOverlayStaffIds = members.map(function(member) { return member.id; });
+            if (this.zoneOverlayStaff === null || this.zoneOverlayStaffIds.indexOf(this.zoneOverlayStaff) === -1) {
+                this.zoneOverlayStaff = members.length > 0 ? members[0].id : null;
             }
-
-            if (gameTick - this.lastAnalysisUpdate >= CONFIG.analysisInterval) {
-                this.lastAnalysisUpdate = gameTick;
-                ParkAnalyzer.updateLitterAndVandalism();
-                ParkAnalyzer.updateGuestDensity();
+            var dropdown = this.mainWindow.findWidget('dd_zone_overlay_staff');
+            if (dropdown) {
+                var names = members.map(function(member) { return member.name || '#' + member.id; });
+                if (names.join('\n') !== (dropdown.items || []).join('\n')) dropdown.items = names;
+                dropdown.selectedIndex = Math.max(0, this.zoneOverlayStaffIds.indexOf(this.zoneOverlayStaff));
             }
 
-            if (gameTick - this.lastStaffUpdate >= CONFIG.staffUpdateInterval) {
-                this.lastStaffUpdate = gameTick;
-                PerformanceMonitor.startFrame();
-                this.updateStaffLists();
-                this.processHandymen();
-                var frameTime = PerformanceMonitor.endFrame();
-                this.statistics.lastFrameTime = frameTime;
-                this.statistics.avgFrameTime = PerformanceMonitor.getAverageFrameTime();
-            }
+            var signature = [this.zoneOverlayMode, this.zoneOverlayType, this.zoneOverlayStaff, this.zoneOverlayView,
+                ParkAnalyzer.layoutVersion, StaffManager.zoneVersion, this.zoneOverlayStaffIds.join(',')].join('|');
+            if (signature === this.zoneOverlaySignature) return;
+            this.zoneOverlaySignature = signature;
 
-            if (gameTick - this.lastAutoHireCheck >= CONFIG.autoHireCheckInterval) {
-                this.lastAutoHireCheck = gameTick;
-                this.checkAutoHire();
+            if (this.zoneOverlayMode === 0) {
+                if (this.zoneOverlay) GameApi.setTileSelection([]);
+                this.zoneOverlay = null;
+                this.updateLabel('lbl_zone_overlay_info', 'Overlay off');
+                return;
             }
+            var overlay = ZoneOverlay.build(this.zoneOverlayMode, staffType, this.zoneOverlayStaff);
+            this.zoneOverlay = overlay;
+            GameApi.setTileSelection(ZoneOverlay.getSelectionTiles(overlay, this.zoneOverlayView));
+            this.updateLabel('lbl_zone_overlay_info', overlay.staffCount + ' staff, ' + Object.keys(overlay.blocks).length + ' blocks, ' +
+                overlay.uncovered.length + ' uncovered paths');
+        },
 
-            if (CONFIG.autoReanalyze && gameTick - this.lastAutoReanalyze >= CONFIG.autoReanalyzeInterval) {
-                this.lastAutoReanalyze = gameTick;
-                ParkAnalyzer.startAnalysis();
-                this.statistics.autoReanalyzeCount++;
-                this.zonesNeedRegeneration = true;
-            }
+        clearZoneOverlay: function() {
+            if (this.zoneOverlay) GameApi.setTileSelection([]);
+            this.zoneOverlay = null;
+            this.zoneOverlaySignature = null;
+        },
 
-            if (CONFIG.autoGenZones && gameTick - this.lastAutoGenZones >= CONFIG.autoGenZonesInterval) {
-                this.lastAutoGenZones = gameTick;
-                if (ParkAnalyzer.isAnalyzed && this.allStaff.length > 0) {
-                    if (this.zonesNeedRegeneration || this.statistics.autoGenZonesCount === 0) {
-                        this.generatePatrolZones();
-                        this.statistics.autoGenZonesCount++;
-                    }
+        refreshGroupList: function() {
+            if (!this.mainWindow) return;
+            var mode = NetworkHelper.getMode();
+            this.updateLabel('lbl_players_mode', 'Mode: ' + NetworkHelper.getModeString());
+            this.updateLabel('lbl_players_access', mode === 'none' ? 'Single player: changes apply directly' :
+                (Commands.canLocalPlayerCommand() ? 'You can change settings' : 'Read-only: your group cannot change settings'));
+            this.updateLabel('lbl_players_sync', mode === 'client' ? 'Last update from host: ' + (Commands.lastSyncTick < 0 ? 'waiting' : 'tick ' + Commands.lastSyncTick) : '');
+            var list = this.mainWindow.findWidget('lst_players_groups');
+            if (!list) return;
+            var allowed = Commands.getAllowedGroups();
+            list.items = GameApi.getGroups().map(function(group) {
+                return [group.name, allowed.indexOf(group.id) !== -1 ? 'Yes' : 'No'];
+            });
+        },
+
+        toggleGroup: function(index) {
+            var group = GameApi.getGroups()[index];
+            if (!group) return;
+            var allowed = Commands.getAllowedGroups();
+            var at = allowed.indexOf(group.id);
+            if (at === -1) allowed.push(group.id);
+            else allowed.splice(at, 1);
+            Commands.setConfig('commandGroups', allowed.join(','));
+        },
+
+        refreshSettingRows: function() {
+            if (!this.mainWindow) return;
+            var settings = SettingsEditor.getGroupSettings(SETTING_GROUPS[this.settingsGroup]);
+            var visible = this.currentTab === 6;
+            this.updateLabel('lbl_settings_hint', SETTING_GROUP_HINTS[SETTING_GROUPS[this.settingsGroup]] || 'Click a value to type it in.');
+            for (var row = 0; row < this.settingRowCount; row++) {
+                var label = this.mainWindow.findWidget('lbl_setting_' + row);
+                var spinner = this.mainWindow.findWidget('spn_setting_' + row);
+                var setting = settings[row];
+                if (label) {
+                    label.isVisible = visible && !!setting;
+                    label.text = setting ? setting.label + ':' : '';
+                }
+                if (spinner) {
+                    spinner.isVisible = visible && !!setting;
+                    spinner.text = setting ? SettingsEditor.format(setting.key) : '';
                 }
             }
-        }
-    };
+        },
 
-    // ============================================================
-    // UI MANAGER (Simplified for brevity)
-    // ============================================================
-    var UIManager = {
-        mainWindow: null,
-        windowId: 'staff-ai-mgr-v3',
-        updateInterval: null,
+        refreshSettingValues: function() {
+            if (!this.mainWindow) return;
+            for (var name in this.settingSpinners) {
+                if (this.settingSpinners.hasOwnProperty(name)) {
+                    this.updateLabel(name, SettingsEditor.format(this.settingSpinners[name]));
+                }
+            }
+            this.refreshSettingRows();
+        },
 
         disposeUpdateInterval: function() {
             if (this.updateInterval !== null) {
@@ -1262,36 +4739,53 @@
             }
         },
 
-        syncAutoHireCheckboxes: function(checked) {
-            CONFIG.handymanAutoHire = checked;
-            CONFIG.mechanicAutoHire = checked;
-            CONFIG.securityAutoHire = checked;
-            CONFIG.entertainerAutoHire = checked;
-            if (this.mainWindow) {
-                try {
-                    var widgets = ['chk_handyman_autohire', 'chk_mechanic_autohire', 'chk_security_autohire', 'chk_entertainer_autohire'];
-                    for (var i = 0; i < widgets.length; i++) {
-                        var w = this.mainWindow.findWidget(widgets[i]);
-                        if (w) w.isChecked = checked;
-                    }
-                } catch (e) {}
-            }
+        // Checkboxes follow CONFIG, which only changes through commands and the host's broadcasts
+        configCheckboxes: {
+            chk_enabled: 'enabled', chk_debug: 'debugMode', chk_autohire: 'autoHireEnabled',
+            chk_smarthire: 'smartHiringEnabled', chk_autogen: 'autoGenZones', chk_autoreanalyze: 'autoReanalyze',
+            chk_mech_newride: 'mechanicPerNewRide', chk_handyman_autohire: 'handymanAutoHire',
+            chk_mechanic_autohire: 'mechanicAutoHire', chk_security_autohire: 'securityAutoHire',
+            chk_entertainer_autohire: 'entertainerAutoHire', chk_autofire: 'autoFireEnabled',
+            chk_energy: 'energyManagement', chk_budget: 'budgetGovernorEnabled',
+            chk_exit_sweepers: 'handymanExitSweepers', chk_queue_crews: 'handymanQueueCrews'
+        },
+
+        refreshFromConfig: function() {
+            if (!this.mainWindow) return;
+            try {
+                for (var name in this.configCheckboxes) {
+                    if (!this.configCheckboxes.hasOwnProperty(name)) continue;
+                    var w = this.mainWindow.findWidget(name);
+                    if (w) w.isChecked = CONFIG[this.configCheckboxes[name]];
+                }
+            } catch (e) {}
+            this.refreshSettingValues();
+            if (this.currentTab === 7) this.refreshDecisionList();
+            if (this.currentTab === 8) this.refreshGroupList();
+            if (this.currentTab === 9) this.refreshRosterList();
+        },
+
+        reopenWindow: function() {
+            if (!GameApi.ui || !GameApi.ui.getWindow(this.windowId)) return;
+            GameApi.ui.getWindow(this.windowId).close();
+            this.openWindow();
         },
 
         toggleWindow: function() {
-            var existingWindow = ui.getWindow(this.windowId);
+            var existingWindow = GameApi.ui.getWindow(this.windowId);
             if (existingWindow) existingWindow.close();
             else this.openWindow();
         },
 
         openWindow: function() {
-            var existingWindow = ui.getWindow(this.windowId);
+            var existingWindow = GameApi.ui.getWindow(this.windowId);
             if (existingWindow) { existingWindow.bringToFront(); return; }
             this.disposeUpdateInterval();
+            this.currentTab = 0;
             var self = this;
             var windowWidth = 460;
             var windowHeight = 400;
-            var contentY = 40;
+            var contentY = 56;
 
             var allWidgets = [
                 { type: 'button', name: 'btn_tab_0', x: 10, y: 20, width: 75, height: 14, text: 'Overview', isPressed: true, onClick: function() { self.switchTab(0); } },
@@ -1300,6 +4794,10 @@
                 { type: 'button', name: 'btn_tab_3', x: 241, y: 20, width: 75, height: 14, text: 'Detection', onClick: function() { self.switchTab(3); } },
                 { type: 'button', name: 'btn_tab_4', x: 318, y: 20, width: 65, height: 14, text: 'Zones', onClick: function() { self.switchTab(4); } },
                 { type: 'button', name: 'btn_tab_5', x: 385, y: 20, width: 65, height: 14, text: 'Stats', onClick: function() { self.switchTab(5); } },
+                { type: 'button', name: 'btn_tab_6', x: 10, y: 36, width: 75, height: 14, text: 'Settings', onClick: function() { self.switchTab(6); } },
+                { type: 'button', name: 'btn_tab_7', x: 87, y: 36, width: 75, height: 14, text: 'Decisions', onClick: function() { self.switchTab(7); } },
+                { type: 'button', name: 'btn_tab_8', x: 164, y: 36, width: 75, height: 14, text: 'Players', onClick: function() { self.switchTab(8); } },
+                { type: 'button', name: 'btn_tab_9', x: 241, y: 36, width: 75, height: 14, text: 'Roster', onClick: function() { self.switchTab(9); } },
 
                 // Overview Tab
                 { type: 'groupbox', name: 'grp_overview', x: 10, y: contentY, width: 440, height: 310, text: 'System Overview', isVisible: true },
@@ -1313,56 +4811,89 @@
                 { type: 'label', name: 'lbl_mechanics', x: 120, y: contentY + 54, width: 100, height: 14, text: 'Mechanics: 0', isVisible: true },
                 { type: 'label', name: 'lbl_security', x: 230, y: contentY + 54, width: 100, height: 14, text: 'Security: 0', isVisible: true },
                 { type: 'label', name: 'lbl_entertainers', x: 340, y: contentY + 54, width: 100, height: 14, text: 'Entertainers: 0', isVisible: true },
-                { type: 'label', name: 'lbl_crime', x: 20, y: contentY + 74, width: 200, height: 14, text: 'Crime Level: 0', isVisible: true },
+                { type: 'label', name: 'lbl_crime', x: 20, y: contentY + 74, width: 200, height: 14, text: 'Crime Rate: 0/day', isVisible: true },
                 { type: 'label', name: 'lbl_disgust', x: 230, y: contentY + 74, width: 200, height: 14, text: 'Disgust Complaints: 0', isVisible: true },
                 { type: 'label', name: 'lbl_rides', x: 20, y: contentY + 94, width: 200, height: 14, text: 'Rides Tracked: 0', isVisible: true },
                 { type: 'label', name: 'lbl_new_rides', x: 230, y: contentY + 94, width: 200, height: 14, text: 'New Rides Detected: 0', isVisible: true },
-                { type: 'checkbox', name: 'chk_enabled', x: 20, y: contentY + 120, width: 200, height: 14, text: 'Enable AI Manager', isChecked: CONFIG.enabled, isVisible: true, onChange: function(c) { CONFIG.enabled = c; } },
+                { type: 'checkbox', name: 'chk_enabled', x: 20, y: contentY + 120, width: 200, height: 14, text: 'Enable AI Manager', isChecked: CONFIG.enabled, isVisible: true, onChange: function(c) { Commands.setConfig('enabled', c); } },
                 { type: 'checkbox', name: 'chk_debug', x: 230, y: contentY + 120, width: 200, height: 14, text: 'Debug Mode', isChecked: CONFIG.debugMode, isVisible: true, onChange: function(c) { CONFIG.debugMode = c; } },
-                { type: 'checkbox', name: 'chk_autohire', x: 20, y: contentY + 138, width: 200, height: 14, text: 'Auto-Hire Staff', isChecked: CONFIG.autoHireEnabled, isVisible: true, onChange: function(c) { CONFIG.autoHireEnabled = c; self.syncAutoHireCheckboxes(c); } },
-                { type: 'checkbox', name: 'chk_smarthire', x: 230, y: contentY + 138, width: 200, height: 14, text: 'Smart Hiring (Event-Based)', isChecked: CONFIG.smartHiringEnabled, isVisible: true, onChange: function(c) { CONFIG.smartHiringEnabled = c; } },
-                { type: 'checkbox', name: 'chk_autogen', x: 20, y: contentY + 156, width: 200, height: 14, text: 'Auto Gen Patrol Zones', isChecked: CONFIG.autoGenZones, isVisible: true, onChange: function(c) { CONFIG.autoGenZones = c; } },
-                { type: 'checkbox', name: 'chk_autoreanalyze', x: 230, y: contentY + 156, width: 200, height: 14, text: 'Auto Re-analyze Park', isChecked: CONFIG.autoReanalyze, isVisible: true, onChange: function(c) { CONFIG.autoReanalyze = c; } },
-                { type: 'button', name: 'btn_reanalyze', x: 20, y: contentY + 180, width: 130, height: 22, text: 'Re-analyze Park', isVisible: true, onClick: function() { ParkAnalyzer.startAnalysis(); RideTracker.scanAllRides(); StaffManager.zonesNeedRegeneration = true; } },
-                { type: 'button', name: 'btn_genzones', x: 160, y: contentY + 180, width: 130, height: 22, text: 'Generate Zones', isVisible: true, onClick: function() { StaffManager.zonesNeedRegeneration = true; StaffManager.generatePatrolZones(); } },
-                { type: 'button', name: 'btn_reset', x: 300, y: contentY + 180, width: 130, height: 22, text: 'Reset Stats', isVisible: true, onClick: function() { StaffManager.statistics.smartHires = { handymen: 0, mechanics: 0, security: 0, entertainers: 0 }; } },
+                { type: 'checkbox', name: 'chk_autohire', x: 20, y: contentY + 138, width: 200, height: 14, text: 'Auto-Hire Staff', isChecked: CONFIG.autoHireEnabled, isVisible: true, onChange: function(c) { Commands.setConfig('autoHireEnabled', c); } },
+                { type: 'checkbox', name: 'chk_smarthire', x: 230, y: contentY + 138, width: 200, height: 14, text: 'Smart Hiring (Event-Based)', isChecked: CONFIG.smartHiringEnabled, isVisible: true, onChange: function(c) { Commands.setConfig('smartHiringEnabled', c); } },
+                { type: 'checkbox', name: 'chk_autogen', x: 20, y: contentY + 156, width: 200, height: 14, text: 'Auto Gen Patrol Zones', isChecked: CONFIG.autoGenZones, isVisible: true, onChange: function(c) { Commands.setConfig('autoGenZones', c); } },
+                { type: 'checkbox', name: 'chk_autoreanalyze', x: 230, y: contentY + 156, width: 200, height: 14, text: 'Auto Re-analyze Park', isChecked: CONFIG.autoReanalyze, isVisible: true, onChange: function(c) { Commands.setConfig('autoReanalyze', c); } },
+                { type: 'button', name: 'btn_reanalyze', x: 20, y: contentY + 180, width: 130, height: 22, text: 'Re-analyze Park', isVisible: true, onClick: function() { Commands.send('reanalyze'); } },
+                { type: 'button', name: 'btn_genzones', x: 160, y: contentY + 180, width: 130, height: 22, text: 'Generate Zones', isVisible: true, onClick: function() { Commands.send('genzones'); } },
+                { type: 'button', name: 'btn_reset', x: 300, y: contentY + 180, width: 130, height: 22, text: 'Reset Stats', isVisible: true, onClick: function() { Commands.send('resetstats'); } },
                 { type: 'label', name: 'lbl_smart_hires', x: 20, y: contentY + 210, width: 420, height: 14, text: 'Smart Hires: H:0 M:0 S:0 E:0', isVisible: true },
                 { type: 'label', name: 'lbl_zones_set', x: 20, y: contentY + 228, width: 200, height: 14, text: 'Zones Set: 0', isVisible: true },
                 { type: 'label', name: 'lbl_frame', x: 230, y: contentY + 228, width: 200, height: 14, text: 'Frame: 0ms', isVisible: true },
+                { type: 'label', name: 'lbl_settings_source', x: 20, y: contentY + 252, width: 420, height: 14, text: 'Settings: ' + SettingsStore.getSourceString(), isVisible: true },
+                { type: 'button', name: 'btn_save_profile', x: 20, y: contentY + 272, width: 200, height: 22, text: 'Save as Default Profile', isVisible: true, onClick: function() { SettingsStore.saveDefaultProfile(); } },
+                { type: 'button', name: 'btn_load_profile', x: 230, y: contentY + 272, width: 200, height: 22, text: 'Load Default Profile', isVisible: true, onClick: function() { Commands.loadProfile(); } },
 
                 // Smart Hire Tab
                 { type: 'groupbox', name: 'grp_smarthire', x: 10, y: contentY, width: 440, height: 310, text: 'Smart Hiring Settings', isVisible: false },
                 { type: 'label', name: 'lbl_sh_info', x: 20, y: contentY + 20, width: 420, height: 28, text: 'Smart hiring automatically hires staff based on real-time events:', isVisible: false },
-                { type: 'checkbox', name: 'chk_mech_newride', x: 20, y: contentY + 50, width: 400, height: 14, text: 'Hire Mechanic when new ride is built', isChecked: CONFIG.mechanicPerNewRide, isVisible: false, onChange: function(c) { CONFIG.mechanicPerNewRide = c; } },
-                { type: 'label', name: 'lbl_sh_crime', x: 20, y: contentY + 75, width: 420, height: 14, text: 'Crime Threshold for Security: ' + CONFIG.securityCrimeThreshold, isVisible: false },
-                { type: 'label', name: 'lbl_sh_disgust', x: 20, y: contentY + 95, width: 420, height: 14, text: 'Disgust Threshold for Handyman: ' + CONFIG.handymanDisgustThreshold, isVisible: false },
-                { type: 'label', name: 'lbl_sh_happy', x: 20, y: contentY + 115, width: 420, height: 14, text: 'Happiness Threshold for Entertainer: <' + CONFIG.entertainerHappinessThreshold + '%', isVisible: false },
-                { type: 'checkbox', name: 'chk_handyman_autohire', x: 20, y: contentY + 145, width: 200, height: 14, text: 'Auto-Hire Handymen', isChecked: CONFIG.handymanAutoHire, isVisible: false, onChange: function(c) { CONFIG.handymanAutoHire = c; } },
-                { type: 'checkbox', name: 'chk_mechanic_autohire', x: 230, y: contentY + 145, width: 200, height: 14, text: 'Auto-Hire Mechanics', isChecked: CONFIG.mechanicAutoHire, isVisible: false, onChange: function(c) { CONFIG.mechanicAutoHire = c; } },
-                { type: 'checkbox', name: 'chk_security_autohire', x: 20, y: contentY + 165, width: 200, height: 14, text: 'Auto-Hire Security', isChecked: CONFIG.securityAutoHire, isVisible: false, onChange: function(c) { CONFIG.securityAutoHire = c; } },
-                { type: 'checkbox', name: 'chk_entertainer_autohire', x: 230, y: contentY + 165, width: 200, height: 14, text: 'Auto-Hire Entertainers', isChecked: CONFIG.entertainerAutoHire, isVisible: false, onChange: function(c) { CONFIG.entertainerAutoHire = c; } },
+                { type: 'checkbox', name: 'chk_mech_newride', x: 20, y: contentY + 50, width: 400, height: 14, text: 'Hire Mechanic when new ride is built', isChecked: CONFIG.mechanicPerNewRide, isVisible: false, onChange: function(c) { Commands.setConfig('mechanicPerNewRide', c); } },
+                { type: 'label', name: 'lbl_sh_crime', x: 20, y: contentY + 75, width: 260, height: 14, text: 'Crime Threshold for Security (per day):', isVisible: false },
+                this.createSettingSpinner('spn_sh_crime', 'securityCrimeThreshold', 290, contentY + 74),
+                { type: 'label', name: 'lbl_sh_disgust', x: 20, y: contentY + 95, width: 260, height: 14, text: 'Disgust Threshold for Handyman:', isVisible: false },
+                this.createSettingSpinner('spn_sh_disgust', 'handymanDisgustThreshold', 290, contentY + 94),
+                { type: 'label', name: 'lbl_sh_happy', x: 20, y: contentY + 115, width: 260, height: 14, text: 'Happiness Threshold for Entertainer (%):', isVisible: false },
+                this.createSettingSpinner('spn_sh_happy', 'entertainerHappinessThreshold', 290, contentY + 114),
+                { type: 'checkbox', name: 'chk_handyman_autohire', x: 20, y: contentY + 145, width: 200, height: 14, text: 'Auto-Hire Handymen', isChecked: CONFIG.handymanAutoHire, isVisible: false, onChange: function(c) { Commands.setConfig('handymanAutoHire', c); } },
+                { type: 'checkbox', name: 'chk_mechanic_autohire', x: 230, y: contentY + 145, width: 200, height: 14, text: 'Auto-Hire Mechanics', isChecked: CONFIG.mechanicAutoHire, isVisible: false, onChange: function(c) { Commands.setConfig('mechanicAutoHire', c); } },
+                { type: 'checkbox', name: 'chk_security_autohire', x: 20, y: contentY + 165, width: 200, height: 14, text: 'Auto-Hire Security', isChecked: CONFIG.securityAutoHire, isVisible: false, onChange: function(c) { Commands.setConfig('securityAutoHire', c); } },
+                { type: 'checkbox', name: 'chk_entertainer_autohire', x: 230, y: contentY + 165, width: 200, height: 14, text: 'Auto-Hire Entertainers', isChecked: CONFIG.entertainerAutoHire, isVisible: false, onChange: function(c) { Commands.setConfig('entertainerAutoHire', c); } },
+                { type: 'checkbox', name: 'chk_autofire', x: 20, y: contentY + 190, width: 400, height: 14, text: 'Auto-Fire Surplus Staff (after grace period)', isChecked: CONFIG.autoFireEnabled, isVisible: false, onChange: function(c) { Commands.setConfig('autoFireEnabled', c); } },
 
                 // Staff Tab
                 { type: 'groupbox', name: 'grp_staff', x: 10, y: contentY, width: 440, height: 310, text: 'Manual Staff Hiring', isVisible: false },
-                { type: 'button', name: 'btn_hire_handyman', x: 20, y: contentY + 30, width: 200, height: 24, text: 'Hire Handyman', isVisible: false, onClick: function() { StaffManager.hireStaff('handyman'); } },
-                { type: 'button', name: 'btn_hire_mechanic', x: 230, y: contentY + 30, width: 200, height: 24, text: 'Hire Mechanic', isVisible: false, onClick: function() { StaffManager.hireStaff('mechanic'); } },
-                { type: 'button', name: 'btn_hire_security', x: 20, y: contentY + 60, width: 200, height: 24, text: 'Hire Security', isVisible: false, onClick: function() { StaffManager.hireStaff('security'); } },
-                { type: 'button', name: 'btn_hire_entertainer', x: 230, y: contentY + 60, width: 200, height: 24, text: 'Hire Entertainer', isVisible: false, onClick: function() { StaffManager.hireStaff('entertainer'); } },
+                { type: 'button', name: 'btn_hire_handyman', x: 20, y: contentY + 30, width: 200, height: 24, text: 'Hire Handyman', isVisible: false, onClick: function() { Commands.send('hire', { staffType: 'handyman' }); } },
+                { type: 'button', name: 'btn_hire_mechanic', x: 230, y: contentY + 30, width: 200, height: 24, text: 'Hire Mechanic', isVisible: false, onClick: function() { Commands.send('hire', { staffType: 'mechanic' }); } },
+                { type: 'button', name: 'btn_hire_security', x: 20, y: contentY + 60, width: 200, height: 24, text: 'Hire Security', isVisible: false, onClick: function() { Commands.send('hire', { staffType: 'security' }); } },
+                { type: 'button', name: 'btn_hire_entertainer', x: 230, y: contentY + 60, width: 200, height: 24, text: 'Hire Entertainer', isVisible: false, onClick: function() { Commands.send('hire', { staffType: 'entertainer' }); } },
+                { type: 'checkbox', name: 'chk_energy', x: 20, y: contentY + 100, width: 400, height: 14, text: 'Energy Management (rotate tired staff into smaller zones)', isChecked: CONFIG.energyManagement, isVisible: false, onChange: function(c) { Commands.setConfig('energyManagement', c); } },
+                { type: 'label', name: 'lbl_energy', x: 20, y: contentY + 120, width: 420, height: 14, text: 'Tired: 0  Exhausted: 0  Covered: 0', isVisible: false },
+                { type: 'label', name: 'lbl_performance', x: 20, y: contentY + 140, width: 420, height: 14, text: 'Performance: not sampled yet', isVisible: false },
+                { type: 'checkbox', name: 'chk_budget', x: 20, y: contentY + 164, width: 400, height: 14, text: 'Budget Governor (block unaffordable automatic hires)', isChecked: CONFIG.budgetGovernorEnabled, isVisible: false, onChange: function(c) { Commands.setConfig('budgetGovernorEnabled', c); } },
+                { type: 'label', name: 'lbl_budget', x: 20, y: contentY + 182, width: 420, height: 14, text: 'Cash $0', isVisible: false },
+                { type: 'label', name: 'lbl_budget_blocked', x: 20, y: contentY + 198, width: 420, height: 14, text: 'Blocked Hires: 0', isVisible: false },
+                { type: 'listview', name: 'lst_budget_blocked', x: 20, y: contentY + 214, width: 420, height: 88, scrollbars: 'vertical', isStriped: true, showColumnHeaders: true, columns: [{ header: 'Tick', width: 60 }, { header: 'Type', width: 80 }, { header: 'Reason', width: 280 }], items: [], isVisible: false },
 
                 // Detection Tab  
                 { type: 'groupbox', name: 'grp_detect', x: 10, y: contentY, width: 440, height: 310, text: 'Detection Status', isVisible: false },
                 { type: 'label', name: 'lbl_det_rides', x: 20, y: contentY + 20, width: 400, height: 14, text: 'Rides Tracked: 0', isVisible: false },
-                { type: 'label', name: 'lbl_det_crime', x: 20, y: contentY + 38, width: 400, height: 14, text: 'Crime Level: 0 (threshold: ' + CONFIG.securityCrimeThreshold + ')', isVisible: false },
+                { type: 'label', name: 'lbl_det_crime', x: 20, y: contentY + 38, width: 400, height: 14, text: 'Crime Rate: 0/day (threshold: ' + CONFIG.securityCrimeThreshold + '/day)', isVisible: false },
                 { type: 'label', name: 'lbl_det_disgust', x: 20, y: contentY + 56, width: 400, height: 14, text: 'Disgust Complaints: 0 (threshold: ' + CONFIG.handymanDisgustThreshold + ')', isVisible: false },
                 { type: 'label', name: 'lbl_det_happiness', x: 20, y: contentY + 74, width: 400, height: 14, text: 'Guest Happiness: 0% (threshold: <' + CONFIG.entertainerHappinessThreshold + '%)', isVisible: false },
                 { type: 'label', name: 'lbl_det_litter', x: 20, y: contentY + 92, width: 400, height: 14, text: 'Litter Count: 0', isVisible: false },
                 { type: 'label', name: 'lbl_det_action', x: 20, y: contentY + 120, width: 400, height: 14, text: 'Action Needed: None', isVisible: false },
+                { type: 'label', name: 'lbl_det_breakdowns', x: 20, y: contentY + 140, width: 400, height: 14, text: 'Breakdowns: 0 active', isVisible: false },
+                { type: 'label', name: 'lbl_det_response', x: 20, y: contentY + 158, width: 400, height: 14, text: 'Mechanic Dispatches: 0 (avg breakdown to fix: 0 ticks)', isVisible: false },
+                { type: 'label', name: 'lbl_det_maint', x: 20, y: contentY + 180, width: 400, height: 14, text: 'Inspection Schedule: not planned yet', isVisible: false },
+                { type: 'listview', name: 'lst_det_maint', x: 20, y: contentY + 196, width: 420, height: 106, scrollbars: 'vertical', isStriped: true, showColumnHeaders: true, columns: [{ header: 'Ride', width: 240 }, { header: 'Need', width: 60 }, { header: 'Inspect Every', width: 100 }], items: [], isVisible: false },
 
                 // Zones Tab
                 { type: 'groupbox', name: 'grp_zones', x: 10, y: contentY, width: 440, height: 310, text: 'Patrol Zone Settings', isVisible: false },
-                { type: 'label', name: 'lbl_zone_size', x: 20, y: contentY + 20, width: 200, height: 14, text: 'Zone Size: ' + CONFIG.patrolZoneSize, isVisible: false },
-                { type: 'label', name: 'lbl_zone_overlap', x: 230, y: contentY + 20, width: 200, height: 14, text: 'Overlap: ' + CONFIG.patrolZoneOverlap, isVisible: false },
+                { type: 'label', name: 'lbl_zone_size', x: 20, y: contentY + 20, width: 80, height: 14, text: 'Zone Size:', isVisible: false },
+                this.createSettingSpinner('spn_zone_size', 'patrolZoneSize', 100, contentY + 19, 110),
+                { type: 'label', name: 'lbl_zone_overlap', x: 230, y: contentY + 20, width: 80, height: 14, text: 'Overlap:', isVisible: false },
+                this.createSettingSpinner('spn_zone_overlap', 'patrolZoneOverlap', 310, contentY + 19, 110),
                 { type: 'label', name: 'lbl_zone_info', x: 20, y: contentY + 45, width: 420, height: 28, text: 'Mechanic zones are auto-generated based on ride entrance/exit paths.', isVisible: false },
+                { type: 'checkbox', name: 'chk_exit_sweepers', x: 20, y: contentY + 80, width: 420, height: 14, text: 'Station handymen at exits of nauseating rides', isChecked: CONFIG.handymanExitSweepers, isVisible: false, onChange: function(c) { Commands.setConfig('handymanExitSweepers', c); } },
+                { type: 'label', name: 'lbl_exit_sweepers', x: 20, y: contentY + 100, width: 420, height: 14, text: 'Exit Sweepers: 0', isVisible: false },
+                { type: 'checkbox', name: 'chk_queue_crews', x: 20, y: contentY + 125, width: 420, height: 14, text: 'Queue-line cleaning crews (share of handymen set in Settings)', isChecked: CONFIG.handymanQueueCrews, isVisible: false, onChange: function(c) { Commands.setConfig('handymanQueueCrews', c); } },
+                { type: 'label', name: 'lbl_queue_crews', x: 20, y: contentY + 145, width: 420, height: 14, text: 'Queue Crews: 0', isVisible: false },
+                { type: 'label', name: 'lbl_zone_overlay', x: 20, y: contentY + 170, width: 50, height: 14, text: 'Overlay:', isVisible: false },
+                { type: 'dropdown', name: 'dd_zone_overlay', x: 70, y: contentY + 168, width: 110, height: 14, items: ZONE_OVERLAY_MODES, selectedIndex: this.zoneOverlayMode, isVisible: false, onChange: function(index) { self.zoneOverlayMode = index; self.refreshZoneOverlay(); } },
+                { type: 'dropdown', name: 'dd_zone_overlay_type', x: 185, y: contentY + 168, width: 90, height: 14, items: STAFF_TYPES, selectedIndex: this.zoneOverlayType, isVisible: false, onChange: function(index) { self.zoneOverlayType = index; self.zoneOverlayStaff = null; self.refreshZoneOverlay(); } },
+                { type: 'dropdown', name: 'dd_zone_overlay_staff', x: 280, y: contentY + 168, width: 160, height: 14, items: [], isVisible: false, onChange: function(index) { self.zoneOverlayStaff = self.zoneOverlayStaffIds[index]; self.refreshZoneOverlay(); } },
+                { type: 'label', name: 'lbl_zone_overlay_view', x: 20, y: contentY + 188, width: 60, height: 14, text: 'Main view:', isVisible: false },
+                { type: 'dropdown', name: 'dd_zone_overlay_view', x: 85, y: contentY + 186, width: 110, height: 14, items: ZONE_OVERLAY_VIEWS, selectedIndex: this.zoneOverlayView, isVisible: false, onChange: function(index) { self.zoneOverlayView = index; self.refreshZoneOverlay(); } },
+                { type: 'label', name: 'lbl_zone_overlay_info', x: 205, y: contentY + 188, width: 235, height: 14, text: 'Overlay off', isVisible: false },
+                { type: 'label', name: 'lbl_zone_overlay_colours', x: 20, y: contentY + 204, width: 420, height: 14, text: 'Staff-type colours and uncovered paths are only shown in the map below', isVisible: false },
+                { type: 'custom', name: 'cst_zone_map', x: 20, y: contentY + 220, width: 420, height: 82, isVisible: false, onDraw: function(g) { ZoneOverlay.draw(g, self.zoneOverlay || { blocks: {}, uncovered: [] }, 420, 82); } },
 
                 // Stats Tab
                 { type: 'groupbox', name: 'grp_stats', x: 10, y: contentY, width: 440, height: 310, text: 'Statistics', isVisible: false },
@@ -1373,38 +4904,92 @@
                 { type: 'label', name: 'lbl_stat_sh_s', x: 20, y: contentY + 60, width: 200, height: 14, text: 'Smart Hire Security: 0', isVisible: false },
                 { type: 'label', name: 'lbl_stat_sh_e', x: 230, y: contentY + 60, width: 200, height: 14, text: 'Smart Hire Entertainers: 0', isVisible: false },
                 { type: 'label', name: 'lbl_stat_newrides', x: 20, y: contentY + 80, width: 200, height: 14, text: 'New Rides Detected: 0', isVisible: false },
-                { type: 'label', name: 'lbl_stat_frame', x: 230, y: contentY + 80, width: 200, height: 14, text: 'Avg Frame: 0ms', isVisible: false }
+                { type: 'label', name: 'lbl_stat_frame', x: 230, y: contentY + 80, width: 200, height: 14, text: 'Avg Frame: 0ms', isVisible: false },
+                { type: 'label', name: 'lbl_stat_fired', x: 20, y: contentY + 100, width: 200, height: 14, text: 'Staff Fired: 0', isVisible: false },
+                { type: 'label', name: 'lbl_stat_removed', x: 230, y: contentY + 100, width: 200, height: 14, text: 'Rides Removed: 0', isVisible: false },
+                { type: 'label', name: 'lbl_stat_dispatches', x: 20, y: contentY + 120, width: 420, height: 14, text: 'Dispatches: 0 (litter: 0 active, 0 cleared)', isVisible: false },
+                { type: 'label', name: 'lbl_stat_jobs', x: 20, y: contentY + 140, width: 420, height: 14, text: 'Jobs (ms/tick): -', isVisible: false },
+                { type: 'dropdown', name: 'dd_history_metric', x: 20, y: contentY + 160, width: 200, height: 14, items: HISTORY_METRICS.map(function(m) { return m.label; }), selectedIndex: this.historyMetric, isVisible: false, onChange: function(index) { self.historyMetric = index; } },
+                { type: 'dropdown', name: 'dd_history_range', x: 230, y: contentY + 160, width: 130, height: 14, items: HISTORY_RANGES.map(function(r) { return r.label; }), selectedIndex: this.historyRange, isVisible: false, onChange: function(index) { self.historyRange = index; } },
+                { type: 'custom', name: 'cst_history', x: 20, y: contentY + 180, width: 420, height: 122, isVisible: false, onDraw: function(g) { self.drawHistoryGraph(g, 420, 122); } },
+
+                // Settings Tab
+                { type: 'groupbox', name: 'grp_settings', x: 10, y: contentY, width: 440, height: 310, text: 'Numeric Settings', isVisible: false },
+                { type: 'label', name: 'lbl_settings_group', x: 20, y: contentY + 18, width: 100, height: 14, text: 'Settings for:', isVisible: false },
+                { type: 'dropdown', name: 'dd_settings_group', x: 120, y: contentY + 16, width: 160, height: 14, items: SETTING_GROUPS, selectedIndex: this.settingsGroup, isVisible: false, onChange: function(index) { self.settingsGroup = index; self.refreshSettingRows(); } },
+                { type: 'label', name: 'lbl_settings_hint', x: 20, y: contentY + 290, width: 420, height: 14, text: 'Click a value to type it in.', isVisible: false },
+
+                // Decisions Tab
+                { type: 'groupbox', name: 'grp_decisions', x: 10, y: contentY, width: 440, height: 310, text: 'Decision Log', isVisible: false },
+                { type: 'label', name: 'lbl_decision_action', x: 20, y: contentY + 18, width: 45, height: 14, text: 'Action:', isVisible: false },
+                { type: 'dropdown', name: 'dd_decision_action', x: 65, y: contentY + 16, width: 100, height: 14, items: ['All'].concat(DECISION_ACTIONS), selectedIndex: this.decisionAction, isVisible: false, onChange: function(index) { self.decisionAction = index; self.refreshDecisionList(); } },
+                { type: 'label', name: 'lbl_decision_type', x: 175, y: contentY + 18, width: 35, height: 14, text: 'Staff:', isVisible: false },
+                { type: 'dropdown', name: 'dd_decision_type', x: 210, y: contentY + 16, width: 110, height: 14, items: ['All'].concat(STAFF_TYPES), selectedIndex: this.decisionType, isVisible: false, onChange: function(index) { self.decisionType = index; self.refreshDecisionList(); } },
+                { type: 'button', name: 'btn_decision_clear', x: 360, y: contentY + 15, width: 80, height: 16, text: 'Clear Log', isVisible: false, onClick: function() { Commands.send('clearlog'); } },
+                { type: 'listview', name: 'lst_decisions', x: 20, y: contentY + 38, width: 420, height: 264, scrollbars: 'both', isStriped: true, showColumnHeaders: true, columns: [{ header: 'Tick', width: 50 }, { header: 'Action', width: 55 }, { header: 'Staff', width: 95 }, { header: 'Trigger', width: 240 }, { header: 'Result', width: 200 }], items: [], isVisible: false },
+
+                // Players Tab
+                { type: 'groupbox', name: 'grp_players', x: 10, y: contentY, width: 440, height: 310, text: 'Multiplayer Permissions', isVisible: false },
+                { type: 'label', name: 'lbl_players_mode', x: 20, y: contentY + 18, width: 420, height: 14, text: 'Mode: Single Player', isVisible: false },
+                { type: 'label', name: 'lbl_players_access', x: 20, y: contentY + 36, width: 420, height: 14, text: 'You can change settings', isVisible: false },
+                { type: 'label', name: 'lbl_players_sync', x: 20, y: contentY + 54, width: 420, height: 14, text: '', isVisible: false },
+                { type: 'label', name: 'lbl_players_hint', x: 20, y: contentY + 78, width: 420, height: 14, text: 'Groups allowed to change settings (host clicks a row to toggle):', isVisible: false },
+                { type: 'listview', name: 'lst_players_groups', x: 20, y: contentY + 96, width: 420, height: 206, scrollbars: 'vertical', isStriped: true, showColumnHeaders: true, canSelect: true, columns: [{ header: 'Group', width: 300 }, { header: 'Allowed', width: 100 }], items: [], isVisible: false, onClick: function(item) { self.toggleGroup(item); } },
+
+                // Roster Tab
+                { type: 'groupbox', name: 'grp_roster', x: 10, y: contentY, width: 440, height: 310, text: 'Staff Roster', isVisible: false },
+                { type: 'label', name: 'lbl_roster_type', x: 20, y: contentY + 18, width: 35, height: 14, text: 'Staff:', isVisible: false },
+                { type: 'dropdown', name: 'dd_roster_type', x: 55, y: contentY + 16, width: 95, height: 14, items: ['All'].concat(STAFF_TYPES), selectedIndex: this.rosterType, isVisible: false, onChange: function(index) { self.rosterType = index; self.refreshRosterList(); } },
+                { type: 'label', name: 'lbl_roster_filter', x: 158, y: contentY + 18, width: 35, height: 14, text: 'Show:', isVisible: false },
+                { type: 'dropdown', name: 'dd_roster_filter', x: 193, y: contentY + 16, width: 110, height: 14, items: ROSTER_FILTERS, selectedIndex: this.rosterFilter, isVisible: false, onChange: function(index) { self.rosterFilter = index; self.refreshRosterList(); } },
+                { type: 'label', name: 'lbl_roster_sort', x: 311, y: contentY + 18, width: 30, height: 14, text: 'Sort:', isVisible: false },
+                { type: 'dropdown', name: 'dd_roster_sort', x: 341, y: contentY + 16, width: 99, height: 14, items: ROSTER_SORTS, selectedIndex: this.rosterSort, isVisible: false, onChange: function(index) { self.rosterSort = index; self.refreshRosterList(); } },
+                { type: 'listview', name: 'lst_roster', x: 20, y: contentY + 38, width: 420, height: 226, scrollbars: 'both', isStriped: true, showColumnHeaders: true, canSelect: true, columns: [{ header: 'Name', width: 90 }, { header: 'Type', width: 65 }, { header: 'Orders', width: 110 }, { header: 'Energy', width: 45 }, { header: 'Area', width: 150 }, { header: 'Assigned', width: 160 }, { header: 'Last action', width: 150 }, { header: 'Score', width: 40 }], items: [], isVisible: false, onClick: function(item) { self.selectRosterRow(item); } },
+                { type: 'label', name: 'lbl_roster_count', x: 20, y: contentY + 268, width: 420, height: 14, text: '', isVisible: false },
+                { type: 'button', name: 'btn_roster_locate', x: 20, y: contentY + 286, width: 80, height: 16, text: 'Locate', isVisible: false, onClick: function() { if (self.rosterSelected !== null) StaffRoster.locate(self.rosterSelected); } },
+                { type: 'button', name: 'btn_roster_pin', x: 105, y: contentY + 286, width: 80, height: 16, text: 'Pin', isVisible: false, onClick: function() { self.togglePinned(); } },
+                { type: 'button', name: 'btn_roster_paint', x: 190, y: contentY + 286, width: 90, height: 16, text: 'Paint Zone', isVisible: false, onClick: function() { self.startZonePaint(); } },
+                { type: 'button', name: 'btn_roster_clear_zone', x: 285, y: contentY + 286, width: 80, height: 16, text: 'Clear Zone', isVisible: false, onClick: function() { if (self.rosterSelected !== null) Commands.send('clearzone', { staffId: self.rosterSelected }); } }
             ];
+            for (var row = 0; row < this.settingRowCount; row++) {
+                allWidgets.push({ type: 'label', name: 'lbl_setting_' + row, x: 20, y: contentY + 42 + row * this.settingRowSpacing, width: 260, height: 14, text: '', isVisible: false });
+                allWidgets.push(this.createSettingRowSpinner(row, contentY + 41 + row * this.settingRowSpacing));
+            }
 
-            this.mainWindow = ui.openWindow({
+            this.mainWindow = GameApi.ui.openWindow({
                 classification: this.windowId,
                 title: 'Staff AI Manager v3.0 (Smart Detection)',
-                x: Math.floor((ui.width - windowWidth) / 2),
-                y: Math.floor((ui.height - windowHeight) / 2),
+                x: Math.floor((GameApi.ui.width - windowWidth) / 2),
+                y: Math.floor((GameApi.ui.height - windowHeight) / 2),
                 width: windowWidth,
                 height: windowHeight,
                 colours: [24, 24],
                 widgets: allWidgets,
-                onClose: function() { self.mainWindow = null; self.disposeUpdateInterval(); }
+                onClose: function() { self.clearZoneOverlay(); self.mainWindow = null; self.stopZonePaint(); self.disposeUpdateInterval(); }
             });
 
-            this.updateInterval = context.setInterval(function() { self.updateDisplay(); }, 500);
+            this.updateInterval = GameApi.setInterval(function() { self.updateDisplay(); }, 500);
         },
 
         switchTab: function(tabIndex) {
             if (!this.mainWindow) return;
-            for (var t = 0; t < 6; t++) {
+            this.currentTab = tabIndex;
+            for (var t = 0; t < 10; t++) {
                 var btn = this.mainWindow.findWidget('btn_tab_' + t);
                 if (btn) btn.isPressed = (t === tabIndex);
             }
 
             var tabWidgets = {
-                0: ['grp_overview', 'lbl_mode', 'lbl_analysis', 'lbl_staff_total', 'lbl_guests', 'lbl_happiness', 'lbl_litter', 'lbl_handymen', 'lbl_mechanics', 'lbl_security', 'lbl_entertainers', 'lbl_crime', 'lbl_disgust', 'lbl_rides', 'lbl_new_rides', 'chk_enabled', 'chk_debug', 'chk_autohire', 'chk_smarthire', 'chk_autogen', 'chk_autoreanalyze', 'btn_reanalyze', 'btn_genzones', 'btn_reset', 'lbl_smart_hires', 'lbl_zones_set', 'lbl_frame'],
-                1: ['grp_smarthire', 'lbl_sh_info', 'chk_mech_newride', 'lbl_sh_crime', 'lbl_sh_disgust', 'lbl_sh_happy', 'chk_handyman_autohire', 'chk_mechanic_autohire', 'chk_security_autohire', 'chk_entertainer_autohire'],
-                2: ['grp_staff', 'btn_hire_handyman', 'btn_hire_mechanic', 'btn_hire_security', 'btn_hire_entertainer'],
-                3: ['grp_detect', 'lbl_det_rides', 'lbl_det_crime', 'lbl_det_disgust', 'lbl_det_happiness', 'lbl_det_litter', 'lbl_det_action'],
-                4: ['grp_zones', 'lbl_zone_size', 'lbl_zone_overlap', 'lbl_zone_info'],
-                5: ['grp_stats', 'lbl_stat_hired', 'lbl_stat_zones', 'lbl_stat_sh_h', 'lbl_stat_sh_m', 'lbl_stat_sh_s', 'lbl_stat_sh_e', 'lbl_stat_newrides', 'lbl_stat_frame']
+                0: ['grp_overview', 'lbl_mode', 'lbl_analysis', 'lbl_staff_total', 'lbl_guests', 'lbl_happiness', 'lbl_litter', 'lbl_handymen', 'lbl_mechanics', 'lbl_security', 'lbl_entertainers', 'lbl_crime', 'lbl_disgust', 'lbl_rides', 'lbl_new_rides', 'chk_enabled', 'chk_debug', 'chk_autohire', 'chk_smarthire', 'chk_autogen', 'chk_autoreanalyze', 'btn_reanalyze', 'btn_genzones', 'btn_reset', 'lbl_smart_hires', 'lbl_zones_set', 'lbl_frame', 'lbl_settings_source', 'btn_save_profile', 'btn_load_profile'],
+                1: ['grp_smarthire', 'lbl_sh_info', 'chk_mech_newride', 'lbl_sh_crime', 'spn_sh_crime', 'lbl_sh_disgust', 'spn_sh_disgust', 'lbl_sh_happy', 'spn_sh_happy', 'chk_handyman_autohire', 'chk_mechanic_autohire', 'chk_security_autohire', 'chk_entertainer_autohire', 'chk_autofire'],
+                2: ['grp_staff', 'btn_hire_handyman', 'btn_hire_mechanic', 'btn_hire_security', 'btn_hire_entertainer', 'chk_energy', 'lbl_energy', 'lbl_performance', 'chk_budget', 'lbl_budget', 'lbl_budget_blocked', 'lst_budget_blocked'],
+                3: ['grp_detect', 'lbl_det_rides', 'lbl_det_crime', 'lbl_det_disgust', 'lbl_det_happiness', 'lbl_det_litter', 'lbl_det_action', 'lbl_det_breakdowns', 'lbl_det_response', 'lbl_det_maint', 'lst_det_maint'],
+                4: ['grp_zones', 'lbl_zone_size', 'spn_zone_size', 'lbl_zone_overlap', 'spn_zone_overlap', 'lbl_zone_info', 'chk_exit_sweepers', 'lbl_exit_sweepers', 'chk_queue_crews', 'lbl_queue_crews', 'lbl_zone_overlay', 'dd_zone_overlay', 'dd_zone_overlay_type', 'dd_zone_overlay_staff', 'lbl_zone_overlay_view', 'dd_zone_overlay_view', 'lbl_zone_overlay_info', 'lbl_zone_overlay_colours', 'cst_zone_map'],
+                5: ['grp_stats', 'lbl_stat_hired', 'lbl_stat_zones', 'lbl_stat_sh_h', 'lbl_stat_sh_m', 'lbl_stat_sh_s', 'lbl_stat_sh_e', 'lbl_stat_newrides', 'lbl_stat_frame', 'lbl_stat_fired', 'lbl_stat_removed', 'lbl_stat_dispatches', 'lbl_stat_jobs', 'dd_history_metric', 'dd_history_range', 'cst_history'],
+                6: ['grp_settings', 'lbl_settings_group', 'dd_settings_group', 'lbl_settings_hint'],
+                7: ['grp_decisions', 'lbl_decision_action', 'dd_decision_action', 'lbl_decision_type', 'dd_decision_type', 'btn_decision_clear', 'lst_decisions'],
+                8: ['grp_players', 'lbl_players_mode', 'lbl_players_access', 'lbl_players_sync', 'lbl_players_hint', 'lst_players_groups'],
+                9: ['grp_roster', 'lbl_roster_type', 'dd_roster_type', 'lbl_roster_filter', 'dd_roster_filter', 'lbl_roster_sort', 'dd_roster_sort', 'lst_roster', 'lbl_roster_count', 'btn_roster_locate', 'btn_roster_pin', 'btn_roster_paint', 'btn_roster_clear_zone']
             };
 
             for (var tab in tabWidgets) {
@@ -1421,6 +5006,10 @@
                 var widget = this.mainWindow.findWidget(currentWidgets[j]);
                 if (widget) widget.isVisible = true;
             }
+            this.refreshSettingRows();
+            // The main view selection belongs to the Zones tab
+            if (tabIndex === 4) this.refreshZoneOverlay();
+            else this.clearZoneOverlay();
         },
 
         updateLabel: function(name, text) {
@@ -1436,7 +5025,7 @@
             var sh = s.smartHires;
 
             // Overview
-            this.updateLabel('lbl_analysis', 'Analysis: ' + (ParkAnalyzer.isAnalyzed ? 'Complete' : ParkAnalyzer.getProgress() + '%'));
+            this.updateLabel('lbl_analysis', 'Analysis: ' + (!ParkAnalyzer.isRebuilding() ? 'Complete' : (ParkAnalyzer.isAnalyzed ? 'Updating ' : '') + ParkAnalyzer.getProgress() + '%'));
             this.updateLabel('lbl_staff_total', 'Staff: ' + s.totalStaff);
             this.updateLabel('lbl_guests', 'Guests: ' + ParkAnalyzer.totalGuests);
             this.updateLabel('lbl_happiness', 'Happiness: ' + GuestFeedbackAnalyzer.happinessPercent + '%');
@@ -1445,26 +5034,57 @@
             this.updateLabel('lbl_mechanics', 'Mechanics: ' + s.mechanicsCount);
             this.updateLabel('lbl_security', 'Security: ' + s.securityCount);
             this.updateLabel('lbl_entertainers', 'Entertainers: ' + s.entertainersCount);
-            this.updateLabel('lbl_crime', 'Crime Level: ' + s.crimeDetected);
+            this.updateLabel('lbl_crime', 'Crime Rate: ' + s.crimeDetected + '/day');
             this.updateLabel('lbl_disgust', 'Disgust Complaints: ' + s.disgustComplaints);
-            this.updateLabel('lbl_rides', 'Rides Tracked: ' + Object.keys(RideTracker.knownRides).length);
+            this.updateLabel('lbl_rides', 'Rides Tracked: ' + RideTracker.getKnownRideCount());
             this.updateLabel('lbl_new_rides', 'New Rides Detected: ' + s.newRidesDetected);
             this.updateLabel('lbl_smart_hires', 'Smart Hires: H:' + sh.handymen + ' M:' + sh.mechanics + ' S:' + sh.security + ' E:' + sh.entertainers);
             this.updateLabel('lbl_zones_set', 'Zones Set: ' + s.patrolZonesSet);
             this.updateLabel('lbl_frame', 'Frame: ' + s.lastFrameTime.toFixed(1) + 'ms');
+            this.refreshSettingValues();
+            this.updateLabel('lbl_settings_source', 'Settings: ' + SettingsStore.getSourceString() + ' (schema v' + SCHEMA_VERSION + ')');
+
+            // Staff tab
+            var energy = StaffManager.getEnergySummary();
+            this.updateLabel('lbl_energy', 'Tired: ' + energy.low + '  Exhausted: ' + energy.critical + '  Covered: ' + energy.covered + '  (rotations: ' + s.energyRotations + ')');
+            var perf = StaffManager.getPerformanceSummary();
+            this.updateLabel('lbl_performance', perf.scored === 0 ? 'Performance: not sampled yet' :
+                'Performance: ' + perf.scored + ' scored, ' + perf.idle + ' idle, ' + perf.low + ' low' +
+                (perf.worst ? '  (lowest: ' + perf.worst.staffType + ' #' + perf.worst.id + ' at ' + perf.worst.score + ')' : ''));
+            this.updateLabel('lbl_budget', BudgetGovernor.getSummary());
+            this.updateLabel('lbl_budget_blocked', 'Blocked Hires: ' + s.hiresBlocked);
+            var blockedList = this.mainWindow.findWidget('lst_budget_blocked');
+            if (blockedList) blockedList.items = BudgetGovernor.getBlockedItems();
 
             // Detection tab
-            this.updateLabel('lbl_det_rides', 'Rides Tracked: ' + Object.keys(RideTracker.knownRides).length);
-            this.updateLabel('lbl_det_crime', 'Crime Level: ' + s.crimeDetected + ' (threshold: ' + CONFIG.securityCrimeThreshold + ')');
+            this.updateLabel('lbl_det_rides', 'Rides Tracked: ' + RideTracker.getKnownRideCount());
+            this.updateLabel('lbl_det_crime', 'Crime Rate: ' + s.crimeDetected + '/day, ' + CrimeDetector.vandalismCount + ' broken (threshold: ' + CONFIG.securityCrimeThreshold + '/day)');
             this.updateLabel('lbl_det_disgust', 'Disgust Complaints: ' + s.disgustComplaints + ' (threshold: ' + CONFIG.handymanDisgustThreshold + ')');
             this.updateLabel('lbl_det_happiness', 'Guest Happiness: ' + GuestFeedbackAnalyzer.happinessPercent + '% (threshold: <' + CONFIG.entertainerHappinessThreshold + '%)');
-            this.updateLabel('lbl_det_litter', 'Litter Count: ' + ParkAnalyzer.totalLitter);
+            this.updateLabel('lbl_det_litter', 'Litter Count: ' + ParkAnalyzer.totalLitter + '  Vomit: ' + ParkAnalyzer.totalVomit + ' (' + GuestFeedbackAnalyzer.nauseousGuests + ' nauseous guests)');
+            this.updateLabel('lbl_exit_sweepers', 'Exit Sweepers: ' + Object.keys(StaffManager.exitSweepers).length);
+            this.updateLabel('lbl_queue_crews', 'Queue Crews: ' + Object.keys(StaffManager.queueCrews).length + ' (' + ParkAnalyzer.totalQueueGuests + ' guests queuing on ' + ParkAnalyzer.queueLocations.length + ' tiles)');
+            this.refreshZoneOverlay();
             
             var actions = [];
             if (CrimeDetector.needsMoreSecurity()) actions.push('Security');
             if (GuestFeedbackAnalyzer.needsMoreHandymen()) actions.push('Handyman');
             if (GuestFeedbackAnalyzer.needsMoreEntertainers()) actions.push('Entertainer');
             this.updateLabel('lbl_det_action', 'Action Needed: ' + (actions.length > 0 ? actions.join(', ') : 'None'));
+            this.updateLabel('lbl_det_breakdowns', 'Breakdowns: ' + BreakdownWatcher.getActiveCount() + ' active, ' + s.breakdownsDetected + ' detected');
+            this.updateLabel('lbl_det_response', 'Mechanic Dispatches: ' + BreakdownWatcher.completedDispatches + ' (avg breakdown to fix: ' + BreakdownWatcher.getAverageRepairTicks() + ' ticks)');
+            this.updateLabel('lbl_det_maint', 'Inspection Schedule: ' + (CONFIG.mechanicPreventiveEnabled ? MaintenancePlanner.schedule.length + ' rides, ' + s.inspectionChanges + ' intervals changed' : 'disabled'));
+            var maintList = this.mainWindow.findWidget('lst_det_maint');
+            if (maintList) maintList.items = MaintenancePlanner.getScheduleItems();
+
+            // Decisions tab
+            if (this.currentTab === 7) this.refreshDecisionList();
+
+            // Players tab
+            if (this.currentTab === 8) this.refreshGroupList();
+
+            // Roster tab
+            if (this.currentTab === 9) this.refreshRosterList();
 
             // Stats tab
             this.updateLabel('lbl_stat_hired', 'Staff Hired: ' + s.staffHired);
@@ -1474,42 +5094,525 @@
             this.updateLabel('lbl_stat_sh_s', 'Smart Hire Security: ' + sh.security);
             this.updateLabel('lbl_stat_sh_e', 'Smart Hire Entertainers: ' + sh.entertainers);
             this.updateLabel('lbl_stat_newrides', 'New Rides Detected: ' + s.newRidesDetected);
-            this.updateLabel('lbl_stat_frame', 'Avg Frame: ' + s.avgFrameTime.toFixed(2) + 'ms');
+            this.updateLabel('lbl_stat_frame', 'Avg Frame: ' + s.avgFrameTime.toFixed(2) + 'ms (jobs ' + Scheduler.lastFrameMs.toFixed(2) + 'ms)');
+            this.updateLabel('lbl_stat_fired', 'Staff Fired: ' + s.staffFired);
+            this.updateLabel('lbl_stat_removed', 'Rides Removed: ' + s.ridesRemoved);
+            this.updateLabel('lbl_stat_jobs', 'Jobs (ms/tick): ' + (PerformanceMonitor.getJobSummary() || '-'));
+            this.updateLabel('lbl_stat_dispatches', 'Dispatches: ' + s.dispatchesMade + ' (litter: ' + LitterDispatcher.getActiveCount() + ' active, ' + LitterDispatcher.completedDispatches + ' cleared)');
         }
     };
 
+    // ============================================================
+    // SETTINGS STORE - Per-park persistence with a shared default profile
+    // ============================================================
+    var SCHEMA_VERSION = 1;
+    var DEFAULT_PROFILE_KEY = 'StaffAIManager.defaultProfile';
+
+    function copyObject(source) {
+        return JSON.parse(JSON.stringify(source));
+    }
+
+    // Each entry upgrades saved data from the keyed version to the next one
+    var MIGRATIONS = {
+        0: function(data) {
+            return { config: data.config || {}, statistics: data.statistics || {} };
+        }
+    };
+
+    var SettingsStore = {
+        defaultConfig: copyObject(CONFIG),
+        defaultStatistics: copyObject(StaffManager.statistics),
+        source: 'defaults',
+
+        getParkStorage: function() {
+            return GameApi.getParkStorage();
+        },
+
+        getSharedStorage: function() {
+            return GameApi.getSharedStorage();
+        },
+
+        migrate: function(data) {
+            if (!data || typeof data !== 'object') return null;
+            var version = typeof data.version === 'number' ? data.version : 0;
+            if (version > SCHEMA_VERSION) return null;
+            while (version < SCHEMA_VERSION) {
+                if (MIGRATIONS[version]) data = MIGRATIONS[version](data);
+                version++;
+            }
+            data.version = SCHEMA_VERSION;
+            return data;
+        },
+
+        // Only copy keys we still know about, with the type they have today
+        mergeKnown: function(target, defaults, saved) {
+            if (!saved || typeof saved !== 'object') return;
+            for (var key in defaults) {
+                if (!defaults.hasOwnProperty(key) || !saved.hasOwnProperty(key)) continue;
+                if (defaults[key] !== null && typeof defaults[key] === 'object') {
+                    if (typeof target[key] !== 'object' || target[key] === null) target[key] = copyObject(defaults[key]);
+                    this.mergeKnown(target[key], defaults[key], saved[key]);
+                } else if (typeof saved[key] === typeof defaults[key]) {
+                    target[key] = saved[key];
+                }
+            }
+        },
+
+        resetToDefaults: function() {
+            this.mergeKnown(CONFIG, this.defaultConfig, this.defaultConfig);
+            StaffManager.statistics = copyObject(this.defaultStatistics);
+            MetricHistory.clear();
+            DecisionLog.clear();
+            StaffManager.pinnedStaff = {};
+            StaffManager.zoneVersion++;
+        },
+
+        load: function() {
+            this.resetToDefaults();
+            this.source = 'defaults';
+
+            var storage = this.getParkStorage();
+            var data = null;
+            try { data = storage ? this.migrate(storage.get('state', null)) : null; } catch (e) {}
+            if (data) {
+                this.mergeKnown(CONFIG, this.defaultConfig, data.config);
+                this.mergeKnown(StaffManager.statistics, this.defaultStatistics, data.statistics);
+                try { MetricHistory.restore(storage.get('history', null)); } catch (e) {}
+                DecisionLog.restore(data.decisions);
+                StaffManager.restorePinned(data.pinned);
+                this.source = 'park';
+                return;
+            }
+
+            // Clients follow the host; a local default profile would diverge from it
+            if (NetworkHelper.isServer() && this.loadDefaultProfile()) {
+                this.source = 'profile';
+            }
+        },
+
+        save: function() {
+            if (!NetworkHelper.isServer()) return;
+            var storage = this.getParkStorage();
+            if (!storage) return;
+            try {
+                storage.set('state', {
+                    version: SCHEMA_VERSION,
+                    config: copyObject(CONFIG),
+                    statistics: copyObject(StaffManager.statistics),
+                    decisions: DecisionLog.serialize(),
+                    pinned: StaffManager.serializePinned()
+                });
+                // The history is the bulk of the save and only changes when a sample is taken
+                if (MetricHistory.unsaved) {
+                    storage.set('history', MetricHistory.serialize());
+                    MetricHistory.unsaved = false;
+                }
+                this.source = 'park';
+            } catch (e) {
+                if (CONFIG.debugMode) console.log('[Staff AI] Settings save error: ' + e);
+            }
+        },
+
+        saveDefaultProfile: function() {
+            var shared = this.getSharedStorage();
+            if (!shared) return false;
+            try {
+                shared.set(DEFAULT_PROFILE_KEY, { version: SCHEMA_VERSION, config: copyObject(CONFIG) });
+                return true;
+            } catch (e) { return false; }
+        },
+
+        readDefaultProfile: function() {
+            var shared = this.getSharedStorage();
+            if (!shared) return null;
+            var data = null;
+            try { data = this.migrate(shared.get(DEFAULT_PROFILE_KEY, null)); } catch (e) {}
+            return data ? data.config : null;
+        },
+
+        loadDefaultProfile: function() {
+            var config = this.readDefaultProfile();
+            if (!config) return false;
+            this.mergeKnown(CONFIG, this.defaultConfig, config);
+            return true;
+        },
+
+        getSourceString: function() {
+            if (this.source === 'park') return 'Saved with park';
+            if (this.source === 'profile') return 'Default profile';
+            return 'Built-in defaults';
+        }
+    };
+
+    // ============================================================
+    // COMMANDS - Settings changes and manual commands as custom game actions
+    // ============================================================
+    // The server checks every command and it then runs on every peer, so all players share one state
+    var Commands = {
+        registered: false,
+        lastBroadcast: null,
+        lastSyncTick: -1,
+
+        register: function() {
+            var self = this;
+            this.registered = GameApi.registerAction(COMMAND_ACTION,
+                function(e) { return self.query(self.getArgs(e), self.getPlayer(e)); },
+                function(e) { return self.execute(self.getArgs(e), self.getPlayer(e)); });
+            GameApi.registerAction(SYNC_ACTION,
+                function(e) { return self.querySync(self.getPlayer(e)); },
+                function(e) { return self.executeSync(self.getArgs(e)); });
+        },
+
+        // Plugins targeting API 68 and later get { args, player }; older ones get the args alone
+        getArgs: function(e) {
+            return e && e.args && typeof e.args === 'object' ? e.args : (e || {});
+        },
+
+        getPlayer: function(e) {
+            return e && typeof e.player === 'number' ? e.player : -1;
+        },
+
+        getAllowedGroups: function() {
+            return CONFIG.commandGroups.split(',').filter(function(id) { return id !== ''; }).map(function(id) { return parseInt(id, 10); });
+        },
+
+        findPlayer: function(playerId) {
+            var players = GameApi.getPlayers();
+            for (var i = 0; i < players.length; i++) {
+                if (players[i] && players[i].id === playerId) return players[i];
+            }
+            return null;
+        },
+
+        isHost: function(playerId) {
+            return NetworkHelper.getMode() !== 'server' || playerId === GameApi.getCurrentPlayerId();
+        },
+
+        // Only the server can tell who sent a command; clients leave the decision to it
+        isAllowed: function(playerId) {
+            if (NetworkHelper.getMode() !== 'server' || this.isHost(playerId)) return true;
+            var player = this.findPlayer(playerId);
+            return !!player && this.getAllowedGroups().indexOf(player.group) !== -1;
+        },
+
+        canLocalPlayerCommand: function() {
+            if (NetworkHelper.getMode() !== 'client') return true;
+            var player = this.findPlayer(GameApi.getCurrentPlayerId());
+            return !!player && this.getAllowedGroups().indexOf(player.group) !== -1;
+        },
+
+        // Returns an error message, or null when the command may run
+        validate: function(args, playerId) {
+            if (!args || typeof args.command !== 'string') return 'Missing command';
+            if (args.command === 'set') {
+                var key = args.key;
+                if (typeof key !== 'string' || !CONFIG.hasOwnProperty(key)) return 'Unknown setting';
+                if (LOCAL_SETTINGS.indexOf(key) !== -1) return 'This setting is per player';
+                if (key === 'commandGroups') {
+                    if (!this.isHost(playerId)) return 'Only the host can choose who may change settings';
+                    return typeof args.value === 'string' && /^(\d+(,\d+)*)?$/.test(args.value) ? null : 'Not a list of group ids';
+                }
+                if (typeof CONFIG[key] === 'boolean') return typeof args.value === 'boolean' ? null : 'Not a yes/no value';
+                if (SettingsEditor.getSetting(key)) return SettingsEditor.check(key, args.value);
+                return 'This setting cannot be changed';
+            }
+            if (args.command === 'hire') return STAFF_TYPES.indexOf(args.staffType) !== -1 ? null : 'Unknown staff type';
+            if (STAFF_COMMANDS.indexOf(args.command) !== -1) return this.validateStaffCommand(args);
+            return MANUAL_COMMANDS.indexOf(args.command) !== -1 ? null : 'Unknown command';
+        },
+
+        // Clients may not have seen a new hire yet, so only the server checks the staff member exists
+        validateStaffCommand: function(args) {
+            if (typeof args.staffId !== 'number' || args.staffId % 1 !== 0 || args.staffId < 0) return 'Unknown staff member';
+            if (NetworkHelper.isServer() && !StaffManager.findStaff(args.staffId)) return 'Staff member not found';
+            if (args.command !== 'lockzone') return null;
+            var mapSize = GameApi.getMapSize();
+            var coords = [args.x1, args.y1, args.x2, args.y2];
+            for (var i = 0; i < coords.length; i++) {
+                var max = (i % 2 === 0 ? mapSize.x : mapSize.y) - 1;
+                if (typeof coords[i] !== 'number' || coords[i] % 1 !== 0 || coords[i] < 0 || coords[i] > max) return 'Zone is outside the map';
+            }
+            return null;
+        },
+
+        query: function(args, playerId) {
+            if (!this.isAllowed(playerId)) {
+                return { error: 2, errorTitle: 'Staff AI Manager', errorMessage: 'Your player group is not allowed to change Staff AI Manager settings' };
+            }
+            var error = this.validate(args, playerId);
+            return error ? { error: 1, errorTitle: 'Staff AI Manager', errorMessage: error } : {};
+        },
+
+        execute: function(args, playerId) {
+            var result = this.query(args, playerId);
+            if (result.error) return result;
+            var player = this.findPlayer(playerId);
+            var byPlayer = player && NetworkHelper.getMode() !== 'none' ? ' by ' + player.name : '';
+            switch (args.command) {
+                case 'set':
+                    this.applySetting(args.key, args.value);
+                    break;
+                case 'hire':
+                    // Only the server issues the hire; clients just replay the command
+                    StaffManager.hireStaff(args.staffType, true, 'manual hire' + byPlayer);
+                    break;
+                case 'genzones':
+                    StaffManager.zonesNeedRegeneration = true;
+                    StaffManager.generatePatrolZones('manual regeneration' + byPlayer);
+                    break;
+                case 'reanalyze':
+                    ParkAnalyzer.startAnalysis();
+                    RideTracker.scanAllRides();
+                    break;
+                case 'resetstats':
+                    StaffManager.statistics.smartHires = { handymen: 0, mechanics: 0, security: 0, entertainers: 0 };
+                    break;
+                case 'clearlog':
+                    DecisionLog.clear();
+                    break;
+                case 'pin':
+                    StaffManager.pinStaff(args.staffId, 'pinned' + byPlayer);
+                    break;
+                case 'unpin':
+                    StaffManager.unpinStaff(args.staffId, 'unpinned' + byPlayer);
+                    break;
+                case 'lockzone':
+                    StaffManager.addLockedZone(args.staffId, args.x1, args.y1, args.x2, args.y2, 'locked zone painted' + byPlayer);
+                    break;
+                case 'clearzone':
+                    StaffManager.setLockedZone(args.staffId, [], 'locked zone cleared' + byPlayer);
+                    break;
+            }
+            UIManager.refreshFromConfig();
+            return {};
+        },
+
+        applySetting: function(key, value) {
+            if (SettingsEditor.getSetting(key)) {
+                SettingsEditor.setValue(key, value);
+                return;
+            }
+            CONFIG[key] = value;
+            if (key === 'autoHireEnabled') {
+                CONFIG.handymanAutoHire = value;
+                CONFIG.mechanicAutoHire = value;
+                CONFIG.securityAutoHire = value;
+                CONFIG.entertainerAutoHire = value;
+            }
+            if (key === 'handymanQueueCrews') StaffManager.zonesNeedRegeneration = true;
+        },
+
+        send: function(command, args) {
+            args = args || {};
+            args.command = command;
+            // Without custom actions only the host can act, and only on itself
+            if (!this.registered) {
+                if (!NetworkHelper.isServer()) {
+                    this.report({ error: 2, errorTitle: 'Staff AI Manager', errorMessage: 'Only the host can change settings' });
+                    return;
+                }
+                this.report(this.execute(args, GameApi.getCurrentPlayerId()));
+                return;
+            }
+            var self = this;
+            GameApi.executeAction(COMMAND_ACTION, args, function(result) { self.report(result); });
+        },
+
+        setConfig: function(key, value) {
+            this.send('set', { key: key, value: value });
+        },
+
+        // Sends each profile value that differs, so the server checks them like any other change
+        loadProfile: function() {
+            var config = SettingsStore.readDefaultProfile();
+            if (!config) return;
+            for (var key in config) {
+                if (!config.hasOwnProperty(key) || key === 'commandGroups' || !CONFIG.hasOwnProperty(key)) continue;
+                if (LOCAL_SETTINGS.indexOf(key) !== -1) {
+                    if (typeof config[key] === typeof CONFIG[key]) CONFIG[key] = config[key];
+                    continue;
+                }
+                if (config[key] === CONFIG[key] || typeof config[key] !== typeof CONFIG[key]) continue;
+                if (!this.validate({ command: 'set', key: key, value: config[key] }, GameApi.getCurrentPlayerId())) this.setConfig(key, config[key]);
+            }
+        },
+
+        // A rejected change leaves the widget showing the value that never took
+        report: function(result) {
+            if (result && result.error && GameApi.ui) {
+                GameApi.ui.showError(result.errorTitle || 'Staff AI Manager', result.errorMessage || 'Command failed');
+            }
+            UIManager.refreshFromConfig();
+        },
+
+        querySync: function(playerId) {
+            if (!this.isHost(playerId)) return { error: 2, errorTitle: 'Staff AI Manager', errorMessage: 'Only the host sends state' };
+            return {};
+        },
+
+        executeSync: function(args) {
+            if (NetworkHelper.isServer()) return {};
+            SettingsStore.mergeKnown(CONFIG, SettingsStore.defaultConfig, args.config);
+            if (args.pinned) StaffManager.restorePinned(args.pinned);
+            this.lastSyncTick = GameApi.getTick();
+            UIManager.refreshFromConfig();
+            return {};
+        },
+
+        // The host sends its shared settings to clients whenever they change (or someone joins);
+        // statistics change every update, so they stay local
+        broadcastState: function(force) {
+            if (NetworkHelper.getMode() !== 'server' || !this.registered) return;
+            var config = copyObject(CONFIG);
+            for (var i = 0; i < LOCAL_SETTINGS.length; i++) delete config[LOCAL_SETTINGS[i]];
+            var state = { config: config, pinned: StaffManager.serializePinned() };
+            var json = JSON.stringify(state);
+            if (!force && json === this.lastBroadcast) return;
+            this.lastBroadcast = json;
+            GameApi.executeAction(SYNC_ACTION, state, function() {});
+        }
+    };
+
+    // ============================================================
+    // SCHEDULED JOBS
+    // ============================================================
+    // Everything but the analysis itself reads the path and queue maps, so it waits while they are rebuilt
+    function isParkAnalyzed() { return ParkAnalyzer.isAnalyzed; }
+
+    Scheduler.register('analysis', {
+        step: function() { return ParkAnalyzer.runAnalysisStep(ANALYSIS_TILES_PER_STEP); }
+    });
+    Scheduler.register('vandalism', {
+        ready: isParkAnalyzed,
+        maxSteps: 2,
+        step: function() { return CrimeDetector.scanStep(); }
+    });
+    Scheduler.register('guestFeedback', {
+        ready: isParkAnalyzed,
+        begin: function() { GuestFeedbackAnalyzer.beginScan(); },
+        step: function() { return GuestFeedbackAnalyzer.scanStep(); },
+        finish: function() { StaffManager.checkGuestFeedbackHiring(); }
+    });
+    Scheduler.register('guestDensity', {
+        ready: isParkAnalyzed,
+        begin: function() { ParkAnalyzer.beginDensityScan(); },
+        step: function() { return ParkAnalyzer.densityStep(); }
+    });
+    Scheduler.register('litter', {
+        ready: isParkAnalyzed,
+        begin: function() { ParkAnalyzer.beginLitterScan(); },
+        step: function() { return ParkAnalyzer.litterStep(); }
+    });
+    Scheduler.register('zones', {
+        ready: isParkAnalyzed,
+        begin: function() { StaffManager.beginPatrolZones(); },
+        step: function() { return StaffManager.patrolZonesStep(); }
+    });
+    Scheduler.register('handymanOrders', {
+        ready: isParkAnalyzed,
+        maxSteps: 1,
+        begin: function() { StaffManager.beginOrdersPass(); },
+        step: function() { return StaffManager.ordersStep(); }
+    });
+
     // ============================================================
     // MAIN
     // ============================================================
-    function main() {
+    function main(api) {
+        GameApi.bind(api);
+        Commands.register();
+        SettingsStore.load();
         StaffManager.initialize();
-        if (typeof ui !== 'undefined') {
-            ui.registerMenuItem('Staff AI Manager', function() { UIManager.toggleWindow(); });
+        if (GameApi.ui) {
+            GameApi.ui.registerMenuItem('Staff AI Manager', function() { UIManager.toggleWindow(); });
         }
-        context.subscribe('interval.tick', function() {
+        GameApi.subscribe('interval.tick', function() {
             try { StaffManager.onTick(); } catch (e) {
                 if (CONFIG.debugMode) console.log('[Staff AI Manager] Error: ' + e);
             }
         });
-        context.subscribe('map.change', function() {
-            ParkAnalyzer.startAnalysis();
-            RideTracker.knownRides = {};
-            RideTracker.scanAllRides();
+        GameApi.subscribe('interval.day', function() {
+            try {
+                BudgetGovernor.updateIncome();
+                CrimeDetector.onDay();
+                MaintenancePlanner.onDay();
+            } catch (e) {
+                if (CONFIG.debugMode) console.log('[Staff AI Manager] Maintenance error: ' + e);
+            }
+        });
+        GameApi.subscribe('action.execute', function(e) {
+            RideTracker.onActionExecuted(e);
+            ParkAnalyzer.onActionExecuted(e);
+        });
+        GameApi.subscribe('map.save', function() { SettingsStore.save(); });
+        GameApi.subscribe('network.join', function() { Commands.broadcastState(true); });
+        // The old park's staff ids may belong to other staff in the new one, so its state is dropped without any game actions
+        GameApi.subscribe('map.change', function() {
+            Scheduler.stopAll();
+            ActionQueue.queue = [];
+            SettingsStore.load();
+            ParkAnalyzer.reset();
+            RideTracker.reset();
+            RideTracker.initialize();
+            BreakdownWatcher.activeBreakdowns = {};
+            BreakdownWatcher.breakdownCounts = {};
+            CrimeDetector.reset();
+            ParkAnalyzer.vomitHeat = {};
+            LitterDispatcher.activeDispatches = {};
+            MaintenancePlanner.schedule = [];
             StaffManager.staffAssignments = {};
+            StaffManager.zoneVersion++;
+            StaffManager.energyStates = {};
+            StaffManager.ridesAwaitingMechanic = {};
+            StaffManager.lastSmartHire = {};
+            StaffManager.mechanicRides = {};
+            StaffManager.patrolTargets = {};
+            StaffManager.staffZones = {};
+            StaffManager.exitSweepers = {};
+            StaffManager.queueCrews = {};
+            StaffManager.ordersPass = null;
+            StaffManager.zonePass = null;
             StaffManager.zonesNeedRegeneration = true;
+            UIManager.reopenWindow();
         });
         console.log('[Staff AI Manager v3.0] Loaded - Smart Detection & Event-Based Hiring!');
         console.log('[Staff AI Manager v3.0] Features: Ride tracking, Crime detection, Guest feedback, Happiness monitoring');
     }
 
-    registerPlugin({
-        name: 'Staff AI Manager',
-        version: '3.0.0',
-        authors: ['CodingFleet'],
-        type: 'remote',
-        licence: 'MIT',
-        targetApiVersion: 77,
-        minApiVersion: 34,
-        main: main
-    });
+    // Under Node there is no registerPlugin; hand the modules to the park simulator instead
+    if (typeof registerPlugin === 'function') {
+        registerPlugin({
+            name: 'Staff AI Manager',
+            version: '3.0.0',
+            authors: ['CodingFleet'],
+            type: 'remote',
+            licence: 'MIT',
+            targetApiVersion: 77,
+            minApiVersion: 34,
+            main: main
+        });
+    } else if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            main: main,
+            CONFIG: CONFIG,
+            GameApi: GameApi,
+            ActionQueue: ActionQueue,
+            RideTracker: RideTracker,
+            CrimeDetector: CrimeDetector,
+            BreakdownWatcher: BreakdownWatcher,
+            LitterDispatcher: LitterDispatcher,
+            MaintenancePlanner: MaintenancePlanner,
+            GuestFeedbackAnalyzer: GuestFeedbackAnalyzer,
+            ParkAnalyzer: ParkAnalyzer,
+            BudgetGovernor: BudgetGovernor,
+            StaffManager: StaffManager,
+            DecisionLog: DecisionLog,
+            StaffRoster: StaffRoster,
+            ZoneOverlay: ZoneOverlay,
+            MetricHistory: MetricHistory,
+            SettingsStore: SettingsStore,
+            Scheduler: Scheduler,
+            Commands: Commands
+        };
+    }
 })();
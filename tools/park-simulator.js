@@ -0,0 +1,617 @@
+/**
+ * Park Simulator for the Staff AI Manager
+ *
+ * A scripted, in-memory park (tiles, rides, guests, staff, litter and game actions)
+ * that the plugin runs against under Node through GameApi.bind().
+ *
+ *   var ParkSimulator = require('./tools/park-simulator');
+ *   var sim = ParkSimulator.create({ guests: 300, events: { 2000: function(s) { s.breakDownRide(0); } } });
+ *   var plugin = sim.loadPlugin();
+ *   sim.run(5000);
+ *   console.log(plugin.StaffManager.handymen.length, sim.countActions('staffhire'));
+ *
+ * From the command line, `node tools/park-simulator.js [ticks]` runs the default park and prints a summary.
+ */
+
+'use strict';
+
+var path = require('path');
+
+var PLUGIN_PATH = path.join(__dirname, '..', 'advanced-staff-ai-manager.js');
+var TICKS_PER_DAY = 528;
+var TICKS_PER_MONTH = 16384;
+var STAFF_TYPES = ['handyman', 'mechanic', 'security', 'entertainer'];
+var BROKEN_DOWN = 1 << 7;
+var SWEEPING = 1;
+var DIRECTIONS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+// A small loop of footpaths with a queue and two rides, used when no script is given
+var DEFAULT_SCRIPT = {
+    seed: 1,
+    size: 48,
+    paths: [[4, 4, 40, 4], [4, 4, 4, 40], [40, 4, 40, 40], [4, 40, 40, 40], [4, 22, 40, 22]],
+    queues: [{ ride: 0, tiles: [[20, 5, 20, 10]] }],
+    rides: [
+        { id: 0, name: 'Steel Coaster', type: 52, station: { x: 20, y: 14 }, entrance: { x: 20, y: 11 }, exit: { x: 21, y: 5 }, nausea: 620, intensity: 780, excitement: 690, reliability: 70 },
+        { id: 1, name: 'Merry-Go-Round', type: 33, station: { x: 30, y: 24 }, entrance: { x: 30, y: 23 }, exit: { x: 31, y: 23 }, nausea: 80, intensity: 120, excitement: 250, reliability: 95 }
+    ],
+    guests: 250,
+    litterPerGuestPerDay: 0.3,
+    vandalismPerDay: 2,
+    breakdownChancePerDay: 0.02,
+    cash: 500000,
+    maxStaff: 200,
+    clockStepMs: 0.1,
+    events: {}
+};
+
+function createRandom(seed) {
+    var state = (seed >>> 0) || 1;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function withDefaults(script) {
+    var merged = {};
+    var key;
+    for (key in DEFAULT_SCRIPT) {
+        if (DEFAULT_SCRIPT.hasOwnProperty(key)) merged[key] = DEFAULT_SCRIPT[key];
+    }
+    for (key in script || {}) {
+        if (script.hasOwnProperty(key)) merged[key] = script[key];
+    }
+    return merged;
+}
+
+function forEachTile(rect, callback) {
+    for (var x = Math.min(rect[0], rect[2]); x <= Math.max(rect[0], rect[2]); x++) {
+        for (var y = Math.min(rect[1], rect[3]); y <= Math.max(rect[1], rect[3]); y++) {
+            callback(x, y);
+        }
+    }
+}
+
+function create(script) {
+    script = withDefaults(script);
+    var random = createRandom(script.seed);
+    var subscriptions = {};
+    var customActions = {};
+    var storage = {};
+    var sharedStorage = {};
+    var nextEntityId = 1000;
+
+    var sim = {
+        tick: 0,
+        tiles: {},
+        pathKeys: [],
+        rides: [],
+        guests: [],
+        staff: [],
+        litter: [],
+        cash: script.cash,
+        actions: [],
+        plugin: null,
+
+        // ---------------------------------------------------------
+        // Park building
+        // ---------------------------------------------------------
+        getElements: function(x, y) {
+            var key = x + ',' + y;
+            if (!this.tiles[key]) this.tiles[key] = [];
+            return this.tiles[key];
+        },
+
+        addPath: function(x, y, options) {
+            options = options || {};
+            var elements = this.getElements(x, y);
+            for (var i = 0; i < elements.length; i++) {
+                if (elements[i].type === 'footpath') return elements[i];
+            }
+            var element = {
+                type: 'footpath',
+                isQueue: !!options.queue,
+                ride: typeof options.ride === 'number' ? options.ride : null,
+                addition: options.queue ? null : 1,
+                isAdditionBroken: false
+            };
+            elements.push(element);
+            this.pathKeys.push(x + ',' + y);
+            if (options.announce) this.notifyAction('footpathplace', { x: x * 32, y: y * 32, z: 0 }, { error: 0 });
+            return element;
+        },
+
+        addRide: function(def, announce) {
+            var ride = {
+                id: def.id,
+                name: def.name || 'Ride ' + def.id,
+                classification: 'ride',
+                type: def.type || 0,
+                stations: [{ start: def.station, entrance: def.entrance, exit: def.exit, length: 1 }],
+                nausea: def.nausea || 0,
+                intensity: def.intensity || 0,
+                excitement: def.excitement || 0,
+                reliability: typeof def.reliability === 'number' ? def.reliability : 90,
+                downtime: def.downtime || 0,
+                age: def.age || 0,
+                inspectionInterval: 2,
+                lifecycleFlags: 0,
+                totalCustomers: 0
+            };
+            this.getElements(def.station.x, def.station.y).push({ type: 'track', ride: ride.id });
+            this.getElements(def.entrance.x, def.entrance.y).push({ type: 'entrance', ride: ride.id });
+            this.getElements(def.exit.x, def.exit.y).push({ type: 'entrance', ride: ride.id });
+            this.addPath(def.entrance.x, def.entrance.y);
+            this.addPath(def.exit.x, def.exit.y);
+            this.rides.push(ride);
+            if (announce) {
+                this.notifyAction('ridecreate', { rideType: ride.type }, { error: 0, ride: ride.id });
+                this.notifyAction('trackplace', { ride: ride.id, x: def.station.x * 32, y: def.station.y * 32, z: 0 }, { error: 0 });
+            }
+            return ride;
+        },
+
+        demolishRide: function(rideId) {
+            this.rides = this.rides.filter(function(ride) { return ride.id !== rideId; });
+            for (var key in this.tiles) {
+                if (!this.tiles.hasOwnProperty(key)) continue;
+                this.tiles[key] = this.tiles[key].filter(function(element) {
+                    return !((element.type === 'track' || element.type === 'entrance') && element.ride === rideId);
+                });
+            }
+            this.notifyAction('ridedemolish', { ride: rideId }, { error: 0 });
+        },
+
+        breakDownRide: function(rideId) {
+            var ride = this.getRide(rideId);
+            if (ride) ride.lifecycleFlags |= BROKEN_DOWN;
+        },
+
+        addGuest: function(x, y) {
+            var guest = { id: nextEntityId++, x: x * 32 + 16, y: y * 32 + 16, happiness: 180, nausea: 0, energy: 100, thoughts: [] };
+            this.guests.push(guest);
+            return guest;
+        },
+
+        dropLitter: function(x, y, litterType) {
+            this.litter.push({ id: nextEntityId++, x: x * 32 + 16, y: y * 32 + 16, litterType: litterType || 'empty_can' });
+        },
+
+        // ---------------------------------------------------------
+        // Queries
+        // ---------------------------------------------------------
+        getRide: function(rideId) {
+            for (var i = 0; i < this.rides.length; i++) {
+                if (this.rides[i].id === rideId) return this.rides[i];
+            }
+            return null;
+        },
+
+        getStaff: function(staffId) {
+            for (var i = 0; i < this.staff.length; i++) {
+                if (this.staff[i].id === staffId) return this.staff[i];
+            }
+            return null;
+        },
+
+        isPath: function(x, y) {
+            var elements = this.tiles[x + ',' + y] || [];
+            for (var i = 0; i < elements.length; i++) {
+                if (elements[i].type === 'footpath') return true;
+            }
+            return false;
+        },
+
+        randomPathTile: function() {
+            var parts = this.pathKeys[Math.floor(random() * this.pathKeys.length)].split(',');
+            return { x: parseInt(parts[0]), y: parseInt(parts[1]) };
+        },
+
+        countActions: function(action, failedOnly) {
+            var count = 0;
+            for (var i = 0; i < this.actions.length; i++) {
+                if (this.actions[i].action !== action) continue;
+                if (!failedOnly || this.actions[i].result.error !== 0) count++;
+            }
+            return count;
+        },
+
+        countStaff: function(staffType) {
+            return this.staff.filter(function(member) { return member.staffType === staffType; }).length;
+        },
+
+        // ---------------------------------------------------------
+        // Game actions
+        // ---------------------------------------------------------
+        execute: function(action, args) {
+            var member;
+            // Custom actions get the API 68+ event object; the simulated player is always 0
+            if (customActions[action]) {
+                var event = { action: action, args: JSON.parse(JSON.stringify(args || {})), player: 0, type: 80, isClientOnly: false };
+                var query = customActions[action].query(event) || {};
+                if (query.error) return query;
+                var result = customActions[action].execute(event) || {};
+                result.error = result.error || 0;
+                return result;
+            }
+            if (action === 'staffhire') {
+                if (this.staff.length >= script.maxStaff) {
+                    return { error: 1, errorTitle: 'Can\'t hire new staff...', errorMessage: 'Too many staff in game' };
+                }
+                var start = this.pathKeys.length > 0 ? this.randomPathTile() : { x: 0, y: 0 };
+                member = {
+                    id: nextEntityId++,
+                    staffType: STAFF_TYPES[args.staffType] || 'handyman',
+                    name: 'Staff ' + nextEntityId,
+                    x: start.x * 32 + 16,
+                    y: start.y * 32 + 16,
+                    energy: 128,
+                    orders: args.staffOrders || 0,
+                    patrolBlocks: {},
+                    litterSwept: 0,
+                    ridesFixed: 0,
+                    ridesInspected: 0,
+                    vandalsStopped: 0
+                };
+                this.staff.push(member);
+                return { error: 0, peep: member.id };
+            }
+            if (action === 'stafffire') {
+                member = this.getStaff(args.id);
+                if (!member) return { error: 1, errorTitle: 'Can\'t fire staff', errorMessage: 'Staff member not found' };
+                this.staff.splice(this.staff.indexOf(member), 1);
+                return { error: 0 };
+            }
+            if (action === 'staffsetpatrolarea') {
+                member = this.getStaff(args.id);
+                if (!member) return { error: 1, errorTitle: 'Can\'t set patrol area', errorMessage: 'Staff member not found' };
+                if (args.mode === 2) {
+                    member.patrolBlocks = {};
+                } else {
+                    for (var bx = Math.floor(args.x1 / 128); bx <= Math.floor(args.x2 / 128); bx++) {
+                        for (var by = Math.floor(args.y1 / 128); by <= Math.floor(args.y2 / 128); by++) {
+                            if (args.mode === 0) member.patrolBlocks[bx + ',' + by] = true;
+                            else delete member.patrolBlocks[bx + ',' + by];
+                        }
+                    }
+                }
+                return { error: 0 };
+            }
+            if (action === 'staffsetorders') {
+                member = this.getStaff(args.id);
+                if (!member) return { error: 1, errorTitle: 'Can\'t change orders', errorMessage: 'Staff member not found' };
+                member.orders = args.staffOrders;
+                return { error: 0 };
+            }
+            if (action === 'ridesetsetting') {
+                var ride = this.getRide(args.ride);
+                if (!ride) return { error: 1, errorTitle: 'Can\'t change ride setting', errorMessage: 'Ride not found' };
+                if (args.setting === 5) ride.inspectionInterval = args.value;
+                return { error: 0 };
+            }
+            return { error: 1, errorTitle: 'Unknown action', errorMessage: action + ' is not simulated' };
+        },
+
+        notifyAction: function(action, args, result) {
+            this.actions.push({ tick: this.tick, action: action, args: args, result: result });
+            this.emit('action.execute', { action: action, args: args, result: result, player: -1, isClientOnly: false });
+        },
+
+        emit: function(hook, event) {
+            var callbacks = subscriptions[hook] || [];
+            for (var i = 0; i < callbacks.length; i++) callbacks[i](event);
+        },
+
+        // ---------------------------------------------------------
+        // The objects handed to GameApi.bind()
+        // ---------------------------------------------------------
+        createApi: function() {
+            var self = this;
+            var date = { ticksElapsed: 0, monthProgress: 0, month: 0, day: 1, year: 1 };
+            var makeStorage = function(store) {
+                return {
+                    get: function(key, fallback) { return store.hasOwnProperty(key) ? JSON.parse(JSON.stringify(store[key])) : fallback; },
+                    set: function(key, value) { store[key] = JSON.parse(JSON.stringify(value)); },
+                    has: function(key) { return store.hasOwnProperty(key); },
+                    getAll: function() { return store; }
+                };
+            };
+            this.date = date;
+            var clockMs = 0;
+            return {
+                date: date,
+                // Virtual time that moves a fixed step per read, so frame budgets yield the same way on every run
+                clock: { now: function() { clockMs += script.clockStepMs; return clockMs; } },
+                network: { mode: 'none' },
+                park: {
+                    get cash() { return self.cash; },
+                    bankLoan: 0,
+                    maxBankLoan: 1000000,
+                    getMonthlyExpenditure: function() { return 0; }
+                },
+                map: {
+                    size: { x: script.size, y: script.size },
+                    get rides() { return self.rides; },
+                    getRide: function(rideId) { return self.getRide(rideId); },
+                    getTile: function(x, y) {
+                        var elements = self.tiles[x + ',' + y] || [];
+                        return { x: x, y: y, elements: elements, numElements: elements.length, getElement: function(i) { return elements[i]; } };
+                    },
+                    getAllEntities: function(type) {
+                        if (type === 'staff') return self.staff;
+                        if (type === 'guest') return self.guests;
+                        if (type === 'litter') return self.litter;
+                        return [];
+                    }
+                },
+                context: {
+                    subscribe: function(hook, callback) {
+                        (subscriptions[hook] = subscriptions[hook] || []).push(callback);
+                        return { dispose: function() { subscriptions[hook].splice(subscriptions[hook].indexOf(callback), 1); } };
+                    },
+                    registerAction: function(action, query, execute) {
+                        customActions[action] = { query: query, execute: execute };
+                    },
+                    executeAction: function(action, args, callback) {
+                        var result = self.execute(action, args);
+                        if (callback) callback(result);
+                        self.notifyAction(action, args, result);
+                    },
+                    setInterval: function() { return { dispose: function() {} }; },
+                    getParkStorage: function() { return makeStorage(storage); },
+                    sharedStorage: makeStorage(sharedStorage)
+                }
+            };
+        },
+
+        // A fresh copy of the plugin per simulator, so module state never leaks between runs
+        loadPlugin: function(pluginPath) {
+            var resolved = require.resolve(pluginPath || PLUGIN_PATH);
+            delete require.cache[resolved];
+            this.plugin = require(resolved);
+            this.plugin.main(this.createApi());
+            return this.plugin;
+        },
+
+        // ---------------------------------------------------------
+        // Simulation
+        // ---------------------------------------------------------
+        run: function(ticks) {
+            for (var i = 0; i < ticks; i++) this.step();
+            return this;
+        },
+
+        step: function() {
+            this.tick++;
+            if (this.date) {
+                this.date.ticksElapsed = this.tick;
+                this.date.monthProgress = this.tick % TICKS_PER_MONTH;
+                this.date.month = Math.floor(this.tick / TICKS_PER_MONTH) % 8;
+            }
+            if (typeof script.events[this.tick] === 'function') script.events[this.tick](this);
+
+            if (this.tick % 8 === 0) this.moveGuests();
+            if (this.tick % 4 === 0) this.moveStaff();
+            if (this.tick % TICKS_PER_DAY === 0) this.simulateDay();
+            this.emit('interval.tick');
+            if (this.tick % TICKS_PER_DAY === 0) this.emit('interval.day');
+        },
+
+        moveGuests: function() {
+            for (var i = 0; i < this.guests.length; i++) {
+                var guest = this.guests[i];
+                var next = this.randomNeighbour(Math.floor(guest.x / 32), Math.floor(guest.y / 32), null);
+                guest.x = next.x * 32 + 16;
+                guest.y = next.y * 32 + 16;
+                var nearby = this.countLitterNear(next.x, next.y, 2);
+                guest.thoughts = nearby >= 3 ? [{ type: 'bad_litter' }] : [];
+                guest.happiness = Math.max(0, Math.min(255, guest.happiness + (nearby >= 3 ? -2 : 1)));
+                guest.nausea = Math.max(0, guest.nausea - 1);
+                if (random() < script.litterPerGuestPerDay * 8 / TICKS_PER_DAY) this.dropLitter(next.x, next.y);
+            }
+        },
+
+        moveStaff: function() {
+            for (var i = 0; i < this.staff.length; i++) {
+                var member = this.staff[i];
+                var tx = Math.floor(member.x / 32);
+                var ty = Math.floor(member.y / 32);
+                var next;
+                if (!this.inPatrolArea(member, tx, ty)) {
+                    // Staff outside their patrol area walk back to it first, as they do in the game
+                    next = this.stepIntoPatrolArea(member, tx, ty);
+                } else {
+                    var target = this.getStaffTarget(member, tx, ty);
+                    next = target ? this.stepTowards(tx, ty, target, member) : this.randomNeighbour(tx, ty, member);
+                }
+                member.x = next.x * 32 + 16;
+                member.y = next.y * 32 + 16;
+                member.energy = Math.max(20, member.energy - (this.tick % 64 === 0 ? 1 : 0));
+                this.doStaffWork(member, next.x, next.y);
+            }
+        },
+
+        getStaffTarget: function(member, tx, ty) {
+            if (member.staffType === 'mechanic') {
+                for (var r = 0; r < this.rides.length; r++) {
+                    if (this.rides[r].lifecycleFlags & BROKEN_DOWN) {
+                        var station = this.rides[r].stations[0];
+                        if (this.inPatrolArea(member, station.entrance.x, station.entrance.y)) return station.entrance;
+                    }
+                }
+            }
+            if (member.staffType === 'handyman' && (member.orders & SWEEPING)) {
+                var best = null;
+                var bestDistance = 12;
+                for (var l = 0; l < this.litter.length; l++) {
+                    var lx = Math.floor(this.litter[l].x / 32);
+                    var ly = Math.floor(this.litter[l].y / 32);
+                    var distance = Math.abs(lx - tx) + Math.abs(ly - ty);
+                    if (distance < bestDistance && this.inPatrolArea(member, lx, ly)) {
+                        best = { x: lx, y: ly };
+                        bestDistance = distance;
+                    }
+                }
+                return best;
+            }
+            return null;
+        },
+
+        doStaffWork: function(member, x, y) {
+            if (member.staffType === 'handyman' && (member.orders & SWEEPING)) {
+                var before = this.litter.length;
+                this.litter = this.litter.filter(function(item) {
+                    return Math.floor(item.x / 32) !== x || Math.floor(item.y / 32) !== y;
+                });
+                member.litterSwept += before - this.litter.length;
+            } else if (member.staffType === 'mechanic') {
+                for (var r = 0; r < this.rides.length; r++) {
+                    var ride = this.rides[r];
+                    var entrance = ride.stations[0].entrance;
+                    if ((ride.lifecycleFlags & BROKEN_DOWN) && Math.abs(entrance.x - x) + Math.abs(entrance.y - y) <= 1) {
+                        ride.lifecycleFlags &= ~BROKEN_DOWN;
+                        member.ridesFixed++;
+                    }
+                }
+            }
+        },
+
+        // First step of the shortest footpath route to the member's patrol area
+        stepIntoPatrolArea: function(member, x, y) {
+            var firstSteps = {};
+            var queue = [];
+            firstSteps[x + ',' + y] = null;
+            for (var d = 0; d < DIRECTIONS.length; d++) {
+                var start = { x: x + DIRECTIONS[d][0], y: y + DIRECTIONS[d][1] };
+                if (!this.isPath(start.x, start.y) || firstSteps.hasOwnProperty(start.x + ',' + start.y)) continue;
+                firstSteps[start.x + ',' + start.y] = start;
+                queue.push(start);
+            }
+            while (queue.length > 0) {
+                var current = queue.shift();
+                var first = firstSteps[current.x + ',' + current.y];
+                if (this.inPatrolArea(member, current.x, current.y)) return first;
+                for (var n = 0; n < DIRECTIONS.length; n++) {
+                    var next = { x: current.x + DIRECTIONS[n][0], y: current.y + DIRECTIONS[n][1] };
+                    if (!this.isPath(next.x, next.y) || firstSteps.hasOwnProperty(next.x + ',' + next.y)) continue;
+                    firstSteps[next.x + ',' + next.y] = first;
+                    queue.push(next);
+                }
+            }
+            return this.randomNeighbour(x, y, null);
+        },
+
+        inPatrolArea: function(member, x, y) {
+            if (Object.keys(member.patrolBlocks).length === 0) return true;
+            return !!member.patrolBlocks[Math.floor(x / 4) + ',' + Math.floor(y / 4)];
+        },
+
+        randomNeighbour: function(x, y, member) {
+            var options = [];
+            for (var d = 0; d < DIRECTIONS.length; d++) {
+                var nx = x + DIRECTIONS[d][0];
+                var ny = y + DIRECTIONS[d][1];
+                if (this.isPath(nx, ny) && (!member || this.inPatrolArea(member, nx, ny))) options.push({ x: nx, y: ny });
+            }
+            if (options.length === 0) return this.isPath(x, y) || this.pathKeys.length === 0 ? { x: x, y: y } : this.randomPathTile();
+            return options[Math.floor(random() * options.length)];
+        },
+
+        stepTowards: function(x, y, target, member) {
+            var best = { x: x, y: y };
+            var bestDistance = Math.abs(target.x - x) + Math.abs(target.y - y);
+            for (var d = 0; d < DIRECTIONS.length; d++) {
+                var nx = x + DIRECTIONS[d][0];
+                var ny = y + DIRECTIONS[d][1];
+                var distance = Math.abs(target.x - nx) + Math.abs(target.y - ny);
+                if (distance < bestDistance && this.isPath(nx, ny)) {
+                    best = { x: nx, y: ny };
+                    bestDistance = distance;
+                }
+            }
+            return best.x === x && best.y === y ? this.randomNeighbour(x, y, member) : best;
+        },
+
+        countLitterNear: function(x, y, radius) {
+            var count = 0;
+            for (var i = 0; i < this.litter.length; i++) {
+                if (Math.abs(Math.floor(this.litter[i].x / 32) - x) <= radius && Math.abs(Math.floor(this.litter[i].y / 32) - y) <= radius) count++;
+            }
+            return count;
+        },
+
+        // Vomit after intense rides, vandalism away from security, and random breakdowns
+        simulateDay: function() {
+            var i;
+            for (i = 0; i < this.rides.length; i++) {
+                var ride = this.rides[i];
+                var exit = ride.stations[0].exit;
+                if (ride.nausea >= 500 && random() < ride.nausea / 1000) this.dropLitter(exit.x, exit.y, 'vomit');
+                if (!(ride.lifecycleFlags & BROKEN_DOWN) && random() < script.breakdownChancePerDay * (100 - ride.reliability) / 10) {
+                    ride.lifecycleFlags |= BROKEN_DOWN;
+                }
+            }
+            for (i = 0; i < script.vandalismPerDay && this.pathKeys.length > 0; i++) {
+                var tile = this.randomPathTile();
+                var guarded = this.staff.some(function(member) {
+                    return member.staffType === 'security' && Math.abs(Math.floor(member.x / 32) - tile.x) + Math.abs(Math.floor(member.y / 32) - tile.y) <= 6;
+                });
+                var elements = this.tiles[tile.x + ',' + tile.y];
+                for (var e = 0; e < elements.length; e++) {
+                    if (elements[e].type === 'footpath' && elements[e].addition !== null && !guarded) elements[e].isAdditionBroken = true;
+                }
+            }
+        },
+
+        getSummary: function() {
+            var summary = { tick: this.tick, guests: this.guests.length, litter: this.litter.length, staff: {}, actions: {}, failedActions: 0 };
+            for (var t = 0; t < STAFF_TYPES.length; t++) summary.staff[STAFF_TYPES[t]] = this.countStaff(STAFF_TYPES[t]);
+            for (var i = 0; i < this.actions.length; i++) {
+                var action = this.actions[i].action;
+                summary.actions[action] = (summary.actions[action] || 0) + 1;
+                if (this.actions[i].result.error !== 0) summary.failedActions++;
+            }
+            summary.brokenRides = this.rides.filter(function(ride) { return ride.lifecycleFlags & BROKEN_DOWN; }).length;
+            return summary;
+        }
+    };
+
+    var r;
+    for (r = 0; r < script.paths.length; r++) {
+        forEachTile(script.paths[r], function(x, y) { sim.addPath(x, y); });
+    }
+    for (r = 0; r < script.queues.length; r++) {
+        var queue = script.queues[r];
+        for (var q = 0; q < queue.tiles.length; q++) {
+            forEachTile(queue.tiles[q], function(x, y) { sim.addPath(x, y, { queue: true, ride: queue.ride }); });
+        }
+    }
+    for (r = 0; r < script.rides.length; r++) sim.addRide(script.rides[r], false);
+    for (r = 0; r < script.guests && sim.pathKeys.length > 0; r++) {
+        var spot = sim.randomPathTile();
+        sim.addGuest(spot.x, spot.y);
+    }
+    return sim;
+}
+
+module.exports = {
+    create: create,
+    DEFAULT_SCRIPT: DEFAULT_SCRIPT,
+    TICKS_PER_DAY: TICKS_PER_DAY
+};
+
+if (require.main === module) {
+    var ticks = parseInt(process.argv[2], 10) || TICKS_PER_DAY * 10;
+    var sim = create({});
+    var plugin = sim.loadPlugin();
+    sim.run(ticks);
+    var summary = sim.getSummary();
+    summary.decisions = plugin.DecisionLog.entries.length;
+    summary.zonesSet = plugin.StaffManager.statistics.patrolZonesSet;
+    summary.dispatchesMade = plugin.StaffManager.statistics.dispatchesMade;
+    console.log(JSON.stringify(summary, null, 2));
+}